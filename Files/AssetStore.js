@@ -0,0 +1,89 @@
+/**
+ * 资源存储模块
+ * 用 IndexedDB 保存用户上传的文件（ICC 配置文件等），刷新页面后仍然可用
+ */
+
+const DB_NAME = 'pixelfruit-assets';
+const STORE_NAME = 'assets';
+
+let dbPromise = null;
+
+/**
+ * 打开（必要时创建）资源数据库，只打开一次
+ * @returns {Promise<IDBDatabase>} 数据库
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                store.createIndex('kind', 'kind');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // 打开失败时允许下次重试
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+/**
+ * 在资源表上执行一次请求
+ * @param {IDBTransactionMode} mode - 'readonly' 或 'readwrite'
+ * @param {Function} createRequest - 接收 object store，返回 IDBRequest
+ * @returns {Promise<any>} 请求结果
+ */
+async function runRequest(mode, createRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = createRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * 保存资源，同类同名的资源会被覆盖
+ * @param {string} kind - 资源类型，例如 'camera-icc'、'output-icc'
+ * @param {string} name - 资源名称（通常是文件名）
+ * @param {Uint8Array} data - 文件内容
+ * @returns {Promise<void>}
+ */
+export async function saveAsset(kind, name, data) {
+    await runRequest('readwrite', store => store.put({ key: `${kind}:${name}`, kind, name, data, savedAt: Date.now() }));
+}
+
+/**
+ * 读取资源
+ * @param {string} kind - 资源类型
+ * @param {string} name - 资源名称
+ * @returns {Promise<Uint8Array|null>} 文件内容，不存在时为 null
+ */
+export async function loadAsset(kind, name) {
+    const record = await runRequest('readonly', store => store.get(`${kind}:${name}`));
+    return record ? record.data : null;
+}
+
+/**
+ * 列出某类资源的名称
+ * @param {string} kind - 资源类型
+ * @returns {Promise<string[]>} 按名称排序的资源名称
+ */
+export async function listAssets(kind) {
+    const records = await runRequest('readonly', store => store.index('kind').getAll(kind));
+    return records.map(record => record.name).sort();
+}
+
+/**
+ * 删除资源
+ * @param {string} kind - 资源类型
+ * @param {string} name - 资源名称
+ * @returns {Promise<void>}
+ */
+export async function deleteAsset(kind, name) {
+    await runRequest('readwrite', store => store.delete(`${kind}:${name}`));
+}
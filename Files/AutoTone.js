@@ -0,0 +1,207 @@
+/**
+ * 自动影调模块
+ * 按图像的亮度直方图和平均饱和度估计曝光、对比度、高光、阴影、白色和饱和度，
+ * 作为继续手动调整的起点；每次自动调整前的数值都会保存，可以逐次撤销
+ */
+
+import { HistogramUtils } from './Chart.js';
+import { srgbToLinear, linearToSrgb } from './ColorSpace.js';
+import { toneDelta } from './Tone.js';
+
+// 黑点、白点按两端各裁掉 0.5% 的像素计算，避免被个别噪点和高光点左右
+const BLACK_PERCENTILE = 0.005;
+const WHITE_PERCENTILE = 0.995;
+// 暗部取最暗的 10% 像素的上限
+const SHADOW_PERCENTILE = 0.1;
+
+// 调整后的目标值（sRGB，0-255）
+const TARGET_MEDIAN = 115;
+const TARGET_WHITE = 245;
+const TARGET_SHADOW = 35;
+// 黑点到白点的目标跨度，跨度不足时用对比度拉开
+const TARGET_RANGE = 235;
+const TARGET_SATURATION = 0.3;
+
+// 为了照顾中间调允许白点超出的曝光量（档），超出部分交给高光和白色压回
+const HIGHLIGHT_HEADROOM = 0.5;
+const MAX_CONTRAST = 30;
+const MIN_WHITES = 80;
+const MAX_SATURATION = 130;
+// 统计饱和度时最多采样的像素数
+const SATURATION_SAMPLES = 100000;
+
+/**
+ * 统计平均饱和度（HSV），跳过接近黑色的像素
+ * @param {Float32Array|Uint8ClampedArray} data - RGBA图像数据（0-255）
+ * @returns {number} 平均饱和度（0-1）
+ */
+function meanSaturation(data) {
+    const pixels = data.length / 4;
+    const step = Math.max(1, Math.floor(pixels / SATURATION_SAMPLES)) * 4;
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < data.length; i += step) {
+        const max = Math.max(data[i], data[i + 1], data[i + 2]);
+        if (max < 10) continue;
+        sum += (max - Math.min(data[i], data[i + 1], data[i + 2])) / max;
+        count++;
+    }
+    return count > 0 ? sum / count : 0;
+}
+
+/**
+ * 在滑块的整数取值中找出让 value 经影调调整后最接近 target 的一个
+ * @param {number} value - 调整前的亮度（0-255）
+ * @param {number} target - 目标亮度（0-255）
+ * @param {number} from - 搜索起点（不调整时的滑块值）
+ * @param {number} to - 搜索终点
+ * @param {Function} delta - (亮度0-1, 滑块值) => 亮度偏移（0-1）
+ * @returns {number} 滑块值
+ */
+function solveSlider(value, target, from, to, delta) {
+    const x = value / 255;
+    let best = from;
+    let bestError = Infinity;
+    const direction = to > from ? 1 : -1;
+    for (let v = from; v !== to + direction; v += direction) {
+        const error = Math.abs((x + delta(x, v)) * 255 - target);
+        // 误差相同时保留更小的调整量
+        if (error < bestError - 1e-6) {
+            best = v;
+            bestError = error;
+        }
+    }
+    return best;
+}
+
+/**
+ * 根据图像统计计算自动影调参数
+ * 按渲染管线的顺序逐步预测：线性光中的曝光 → 对比度 → 阴影、高光、白色
+ * @param {Float32Array|Uint8ClampedArray} data - 解码后未经调整的 RGBA 图像数据（sRGB，0-255）
+ * @param {number} width - 图像宽度
+ * @param {number} height - 图像高度
+ * @param {Object} settings - 设置对象，曝光会考虑已有的亮度倍数 bright
+ * @returns {Object|null} {exp_shift, contrast, highlights, shadows, whites, user_sat}，图像为空或几乎纯色时为 null
+ */
+export function computeAutoTone(data, width, height, settings = {}) {
+    const histogram = HistogramUtils.calculateHistogram({ data, width, height }, 'luminance').luminance;
+    const stats = HistogramUtils.getHistogramStats(histogram);
+    if (!stats || stats.dynamicRange < 8) {
+        return null;
+    }
+    const black = HistogramUtils.getPercentile(histogram, BLACK_PERCENTILE);
+    const shadow = HistogramUtils.getPercentile(histogram, SHADOW_PERCENTILE);
+    const median = HistogramUtils.getPercentile(histogram, 0.5);
+    const white = HistogramUtils.getPercentile(histogram, WHITE_PERCENTILE);
+    const bright = settings.bright || 1.0;
+
+    // 曝光：中位数对齐目标，但白点最多超出 HIGHLIGHT_HEADROOM 档；
+    // 降低曝光时不让白点低于目标，明亮的高调照片不会被压暗
+    const whiteLinear = srgbToLinear(Math.max(1, white)) * bright;
+    let exposure = Math.log2(srgbToLinear(TARGET_MEDIAN) / (srgbToLinear(Math.max(1, median)) * bright));
+    exposure = Math.min(exposure, Math.log2(255 / whiteLinear) + HIGHLIGHT_HEADROOM);
+    exposure = Math.max(exposure, Math.min(0, Math.log2(srgbToLinear(TARGET_WHITE) / whiteLinear)));
+    exposure = Math.round(Math.min(2, Math.max(-2, exposure)) * 10) / 10;
+    const gain = bright * Math.pow(2, exposure);
+    const expose = value => linearToSrgb(srgbToLinear(value) * gain);
+
+    // 对比度：黑白点跨度不足时拉开（与 applyColorAdjustments 的公式一致），只增不减
+    const range = expose(white) - expose(black);
+    const factor = range > 0 ? TARGET_RANGE / range : 1;
+    let contrast = factor > 1 ? 259 * 255 * (factor - 1) / (259 + 255 * factor) : 0;
+    contrast = Math.round(Math.min(MAX_CONTRAST, contrast));
+    const contrastFactor = (259 * (contrast + 255)) / (255 * (259 - contrast));
+    const develop = value => Math.min(255, Math.max(0, contrastFactor * (expose(value) - 128) + 128));
+
+    // 阴影只提亮、高光只压暗，高光拉满仍不够时再用白色压低最亮的部分
+    const shadows = solveSlider(develop(shadow), TARGET_SHADOW, 0, 50,
+        (x, v) => toneDelta(x, v, 0, 100));
+    const developedWhite = develop(white);
+    const highlights = solveSlider(developedWhite, TARGET_WHITE, 0, -50,
+        (x, v) => toneDelta(x, 0, v, 100));
+    const whites = highlights === -50
+        ? solveSlider(developedWhite, TARGET_WHITE, 100, MIN_WHITES, (x, v) => toneDelta(x, 0, -50, v))
+        : 100;
+
+    // 饱和度：平淡的图像适当提高，按 5 取整
+    const saturation = meanSaturation(data);
+    const userSat = saturation > 0
+        ? Math.round(Math.min(MAX_SATURATION, Math.max(100, 100 * TARGET_SATURATION / saturation)) / 5) * 5
+        : 100;
+
+    return { exp_shift: exposure, contrast, highlights, shadows, whites, user_sat: userSat };
+}
+
+/**
+ * 初始化自动影调
+ * @param {Object} elements - UI元素对象：autoButton、undoButton、hint，以及曝光、对比度、高光、阴影、白色、饱和度的滑块和数值显示
+ * @param {Object} settings - 设置对象
+ * @param {Function} updateFunction - 调整后重新渲染图像的函数
+ * @param {Function} getImage - 返回解码后未经调整的图像 {data, width, height}，没有图像时返回 null
+ * @returns {Object} {reset}
+ */
+export function initAutoToneModule(elements, settings, updateFunction, getImage) {
+    const { autoButton, undoButton, hint } = elements;
+    const fields = [
+        { key: 'exp_shift', slider: elements.exposureSlider, value: elements.exposureValue, format: v => v.toFixed(1) },
+        { key: 'contrast', slider: elements.contrastSlider, value: elements.contrastValue },
+        { key: 'highlights', slider: elements.highlightsSlider, value: elements.highlightsValue },
+        { key: 'shadows', slider: elements.shadowsSlider, value: elements.shadowsValue },
+        { key: 'whites', slider: elements.whitesSlider, value: elements.whitesValue },
+        { key: 'user_sat', slider: elements.saturationSlider, value: elements.saturationValue }
+    ];
+    // 每次自动调整前的数值，撤销时依次恢复
+    const history = [];
+
+    function applyValues(values) {
+        fields.forEach(({ key, slider, value, format }) => {
+            settings[key] = values[key];
+            slider.value = values[key];
+            value.textContent = format ? format(values[key]) : values[key];
+        });
+    }
+
+    function updateUndoButton() {
+        undoButton.disabled = history.length === 0;
+    }
+
+    autoButton.addEventListener('click', () => {
+        const image = getImage();
+        if (!image) {
+            hint.textContent = '请先打开 RAW 文件';
+            return;
+        }
+        const values = computeAutoTone(image.data, image.width, image.height, settings);
+        if (!values) {
+            hint.textContent = '图像几乎没有明暗变化，无法自动调整';
+            return;
+        }
+        const previous = {};
+        fields.forEach(({ key, slider }) => {
+            previous[key] = settings[key] !== undefined ? settings[key] : parseFloat(slider.value);
+        });
+        history.push(previous);
+        applyValues(values);
+        hint.textContent = `曝光 ${values.exp_shift.toFixed(1)} · 对比度 ${values.contrast} · 高光 ${values.highlights} · 阴影 ${values.shadows}`;
+        updateUndoButton();
+        updateFunction();
+    });
+
+    undoButton.addEventListener('click', () => {
+        if (history.length === 0) return;
+        applyValues(history.pop());
+        hint.textContent = '已撤销自动调整';
+        updateUndoButton();
+        updateFunction();
+    });
+
+    // 打开新文件或重置设置后调用，之前的数值不再适用
+    function reset() {
+        history.length = 0;
+        hint.textContent = '';
+        updateUndoButton();
+    }
+
+    updateUndoButton();
+    return { reset };
+}
@@ -37,9 +37,74 @@ export function readFileAsArrayBuffer(file) {
 
 
 
+/**
+ * 将 LibRaw 内嵌预览图转换为可绘制的位图
+ * @param {Object} thumb - libraw.thumbnail() 的返回值
+ * @returns {Promise<ImageBitmap|null>} 可直接 drawImage 的位图，不支持的格式返回 null
+ */
+export async function createThumbnailBitmap(thumb) {
+    if (!thumb || !thumb.data) {
+        return null;
+    }
+    
+    if (thumb.format === 'jpeg') {
+        return await createImageBitmap(new Blob([thumb.data], { type: 'image/jpeg' }));
+    }
+    
+    if (thumb.format === 'bitmap') {
+        // 位图预览为逐像素的 RGB（或单通道）数据，转换为 RGBA
+        const pixelCount = thumb.width * thumb.height;
+        const shift = thumb.bits === 16 ? 8 : 0;
+        const rgbaData = new Uint8ClampedArray(pixelCount * 4);
+        for (let i = 0; i < pixelCount; i++) {
+            for (let c = 0; c < 3; c++) {
+                const channel = thumb.colors === 1 ? 0 : c;
+                rgbaData[i * 4 + c] = thumb.data[i * thumb.colors + channel] >> shift;
+            }
+            rgbaData[i * 4 + 3] = 255;
+        }
+        return await createImageBitmap(new ImageData(rgbaData, thumb.width, thumb.height));
+    }
+    
+    return null;
+}
+
+/**
+ * 将 libraw.imageData() / libraw.reprocess() 的结果转换为缓存使用的 RGBA 工作图像
+ * 工作图像为 Float32Array，数值范围仍为 0-255，16 位输出保留小数部分的精度，
+ * 各调整模块可以直接沿用 8 位的参数和阈值，只在显示时量化为 8 位
+ * @param {Object} imageData - LibRaw 输出的图像，包含 data、width、height、colors、bits
+ * @returns {{data: Float32Array, width: number, height: number}} RGBA 工作图像
+ */
+export function toRgbaImageData(imageData) {
+    const { data, colors, width, height } = imageData;
+    // 16 位数据 0-65535 缩放到 0-255
+    const scale = imageData.bits === 16 ? 1 / 257 : 1;
+    const pixelCount = width * height;
+    const rgbaData = new Float32Array(pixelCount * 4);
+    
+    for (let i = 0, j = 0, k = 0; k < pixelCount; i += colors, j += 4, k++) {
+        if (colors >= 3) {
+            rgbaData[j] = data[i] * scale;         // R
+            rgbaData[j + 1] = data[i + 1] * scale; // G
+            rgbaData[j + 2] = data[i + 2] * scale; // B
+        } else {
+            // 单通道（黑白）图像
+            rgbaData[j] = rgbaData[j + 1] = rgbaData[j + 2] = data[i] * scale;
+        }
+        rgbaData[j + 3] = 255;                     // A (不透明)
+    }
+    
+    return {
+        data: rgbaData,
+        width,
+        height
+    };
+}
+
 /**
  * 更新图像从缓存
- * @param {Uint8ClampedArray} cachedImageData - 缓存的图像数据
+ * @param {Object} cachedImageData - 缓存的图像，data 为 Float32Array 工作图像（见 toRgbaImageData）
  * @param {number} width - 图像宽度
  * @param {number} height - 图像高度
  * @param {CanvasRenderingContext2D} ctx - 画布上下文
@@ -65,9 +130,8 @@ export async function updateImageFromCache(cachedImageData, width, height, ctx,
             canvas.height = height;
         }
         
-        // 创建临时数组进行处理，避免直接修改缓存数据
-        const tempData = new Uint8ClampedArray(cachedImageData.data.length);
-        tempData.set(cachedImageData.data);
+        // 创建临时数组进行处理，避免直接修改缓存数据（保持缓存的精度）
+        const tempData = cachedImageData.data.slice();
         
         // 应用调整到缓存数据
         applyAdjustmentsToCachedData(tempData, width, height);
@@ -78,8 +142,8 @@ export async function updateImageFromCache(cachedImageData, width, height, ctx,
             return;
         }
         
-        // 创建ImageData对象
-        const imageData = new ImageData(tempData, width, height);
+        // 创建ImageData对象，到这一步才量化为 8 位（Uint8ClampedArray 负责取整和截断）
+        const imageData = new ImageData(new Uint8ClampedArray(tempData), width, height);
         
         // 清空画布
         ctx.clearRect(0, 0, canvas.width, canvas.height);
@@ -317,5 +317,28 @@ export const HistogramUtils = {
             average: weightedSum / total,
             dynamicRange: maxValue - minValue
         };
+    },
+
+    /**
+     * 获取直方图的百分位值
+     * @param {Array} histogram - 直方图数据
+     * @param {number} fraction - 百分位（0-1），例如 0.5 为中位数
+     * @returns {number|null} 累计数量达到该比例时的值（0-255，在区间内线性插值）
+     */
+    getPercentile(histogram, fraction) {
+        const total = histogram.reduce((sum, count) => sum + count, 0);
+        if (total === 0) return null;
+
+        const target = Math.min(1, Math.max(0, fraction)) * total;
+        let cumulative = 0;
+        for (let i = 0; i < histogram.length; i++) {
+            const count = histogram[i];
+            if (count > 0 && cumulative + count >= target) {
+                // 把每一格的像素看作均匀分布在 [i - 0.5, i + 0.5] 内
+                return Math.min(histogram.length - 1, Math.max(0, i - 0.5 + (target - cumulative) / count));
+            }
+            cumulative += count;
+        }
+        return histogram.length - 1;
     }
 };
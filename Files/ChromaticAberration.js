@@ -0,0 +1,193 @@
+/**
+ * 色差校正模块
+ * 通过 LibRaw 的 aber 参数缩放红、蓝通道来校正横向色差（紫边、绿边），
+ * 并能在解码后的图像上测量各通道边缘的径向错位，估计缩放系数
+ */
+
+import { debounce } from './Basic.js';
+
+// 估计时的搜索范围：横向色差通常在 ±0.5% 以内
+const SEARCH_RANGE = 0.006;
+const COARSE_STEP = 0.0005;
+const FINE_STEP = 0.00005;
+// 参与估计的边缘点数量上限
+const MAX_EDGE_POINTS = 40000;
+
+/**
+ * 双线性采样 RGBA 数据的一个通道
+ */
+function sample(data, width, height, channel, x, y) {
+    if (x < 0 || y < 0 || x > width - 2 || y > height - 2) {
+        return NaN;
+    }
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const fx = x - x0;
+    const fy = y - y0;
+    const i = (y0 * width + x0) * 4 + channel;
+    const row = width * 4;
+    const top = data[i] + (data[i + 4] - data[i]) * fx;
+    const bottom = data[i + row] + (data[i + row + 4] - data[i + row]) * fx;
+    return top + (bottom - top) * fy;
+}
+
+/**
+ * 找出绿色通道上径向梯度最强的点，色差只在径向边缘上可见，且越靠近边角越明显
+ * @returns {Array<Object>} 边缘点 {x, y, ux, uy, gradient}
+ */
+function findRadialEdges(data, width, height) {
+    const cx = (width - 1) / 2;
+    const cy = (height - 1) / 2;
+    const maxRadius = Math.hypot(cx, cy);
+    const candidates = [];
+    // 隔点采样，控制大图的计算量
+    const stride = Math.max(1, Math.round(Math.sqrt(width * height / 2e6)));
+
+    for (let y = 2; y < height - 2; y += stride) {
+        for (let x = 2; x < width - 2; x += stride) {
+            const dx = x - cx;
+            const dy = y - cy;
+            const radius = Math.hypot(dx, dy);
+            // 中心区域几乎没有横向色差
+            if (radius < maxRadius * 0.3) continue;
+            const ux = dx / radius;
+            const uy = dy / radius;
+            const gradient = sample(data, width, height, 1, x + ux, y + uy) - sample(data, width, height, 1, x - ux, y - uy);
+            if (Math.abs(gradient) > 8) {
+                candidates.push({ x, y, ux, uy, gradient });
+            }
+        }
+    }
+
+    // 只保留最强的边缘
+    candidates.sort((a, b) => Math.abs(b.gradient) - Math.abs(a.gradient));
+    return candidates.slice(0, MAX_EDGE_POINTS);
+}
+
+/**
+ * 计算某个缩放系数下，通道径向梯度与绿色通道径向梯度的归一化相关性
+ */
+function alignmentScore(data, width, height, channel, edges, scale) {
+    const cx = (width - 1) / 2;
+    const cy = (height - 1) / 2;
+    let sumGC = 0;
+    let sumGG = 0;
+    let sumCC = 0;
+    for (const edge of edges) {
+        // 与 LibRaw 相同：校正后 p 处的值取自 center + (p - center) / scale
+        const ax = cx + (edge.x + edge.ux - cx) / scale;
+        const ay = cy + (edge.y + edge.uy - cy) / scale;
+        const bx = cx + (edge.x - edge.ux - cx) / scale;
+        const by = cy + (edge.y - edge.uy - cy) / scale;
+        const gradient = sample(data, width, height, channel, ax, ay) - sample(data, width, height, channel, bx, by);
+        if (Number.isNaN(gradient)) continue;
+        sumGC += edge.gradient * gradient;
+        sumGG += edge.gradient * edge.gradient;
+        sumCC += gradient * gradient;
+    }
+    return sumGG > 0 && sumCC > 0 ? sumGC / Math.sqrt(sumGG * sumCC) : 0;
+}
+
+/**
+ * 在给定范围内搜索相关性最高的缩放系数
+ */
+function searchScale(data, width, height, channel, edges, from, to, step) {
+    let best = { scale: 1, score: -Infinity };
+    for (let scale = from; scale <= to + step / 2; scale += step) {
+        const score = alignmentScore(data, width, height, channel, edges, scale);
+        if (score > best.score) {
+            best = { scale, score };
+        }
+    }
+    return best;
+}
+
+/**
+ * 估计红、蓝通道相对绿色通道的缩放系数
+ * 结果是相对于输入图像的：如果输入图像已经用 aber 校正过，新的 aber 应为两者相乘
+ * @param {Float32Array|Uint8ClampedArray} data - RGBA图像数据（0-255）
+ * @param {number} width - 图像宽度
+ * @param {number} height - 图像高度
+ * @returns {{red: number, blue: number, edges: number}|null} 缩放系数和使用的边缘点数，边缘太少时为 null
+ */
+export function estimateChromaticAberration(data, width, height) {
+    const edges = findRadialEdges(data, width, height);
+    if (edges.length < 500) {
+        return null;
+    }
+    const result = { edges: edges.length };
+    for (const [name, channel] of [['red', 0], ['blue', 2]]) {
+        const coarse = searchScale(data, width, height, channel, edges, 1 - SEARCH_RANGE, 1 + SEARCH_RANGE, COARSE_STEP);
+        const fine = searchScale(data, width, height, channel, edges, coarse.scale - COARSE_STEP, coarse.scale + COARSE_STEP, FINE_STEP);
+        result[name] = Math.round(fine.scale * 1e5) / 1e5;
+    }
+    return result;
+}
+
+/**
+ * 初始化色差校正功能
+ * @param {Object} elements - UI元素对象
+ * @param {Object} settings - 设置对象，校正系数写入 settings.aber
+ * @param {Function} updateFunction - 系数改变后重新处理图像的函数
+ * @param {Function} getImage - 返回当前解码后的图像 {data, width, height}，没有时返回 null
+ * @returns {Object} {syncControls}
+ */
+export function initChromaticAberrationModule(elements, settings, updateFunction, getImage) {
+    const { redScaleSlider, redScaleValue, blueScaleSlider, blueScaleValue, autoButton, hint } = elements;
+
+    function syncControls() {
+        const aber = settings.aber || [1, 1, 1, 1];
+        redScaleSlider.value = aber[0];
+        blueScaleSlider.value = aber[2];
+        redScaleValue.textContent = Number(aber[0]).toFixed(4);
+        blueScaleValue.textContent = Number(aber[2]).toFixed(4);
+    }
+
+    function setAber(red, blue) {
+        settings.aber = [red, 1, blue, 1];
+        syncControls();
+    }
+
+    // 色差校正在 LibRaw 中进行，拖动时只处理最后一次
+    const debouncedUpdate = debounce(updateFunction, 300);
+
+    [redScaleSlider, blueScaleSlider].forEach(slider => {
+        slider.addEventListener('input', () => {
+            setAber(parseFloat(redScaleSlider.value), parseFloat(blueScaleSlider.value));
+            hint.textContent = '';
+            debouncedUpdate();
+        });
+    });
+
+    autoButton.addEventListener('click', async () => {
+        const image = getImage();
+        if (!image) {
+            hint.textContent = '请先打开 RAW 文件';
+            return;
+        }
+        autoButton.disabled = true;
+        hint.textContent = '正在测量通道边缘错位...';
+        // 让提示先显示出来再开始计算
+        await new Promise(resolve => setTimeout(resolve, 0));
+        try {
+            const estimate = estimateChromaticAberration(image.data, image.width, image.height);
+            if (!estimate) {
+                hint.textContent = '图像边角的边缘太少，无法估计色差';
+                return;
+            }
+            // 当前图像已经过 aber 校正，估计值是在此基础上的修正
+            const aber = settings.aber || [1, 1, 1, 1];
+            setAber(aber[0] * estimate.red, aber[2] * estimate.blue);
+            hint.textContent = `已根据 ${estimate.edges} 个边缘点估计`;
+            await updateFunction();
+        } catch (error) {
+            console.error('估计色差失败:', error);
+            hint.textContent = `估计色差失败: ${error.message}`;
+        } finally {
+            autoButton.disabled = false;
+        }
+    });
+
+    syncControls();
+    return { syncControls };
+}
@@ -0,0 +1,290 @@
+/**
+ * 色彩分级模块
+ * 阴影、中间调、高光三个色轮分别设置色相、饱和度和明亮度，
+ * 平衡调整三个范围的分界，混合调整范围之间的重叠程度
+ */
+
+export const GRADING_RANGES = [
+    { key: 'shadows', label: '阴影' },
+    { key: 'midtones', label: '中间调' },
+    { key: 'highlights', label: '高光' }
+];
+
+// 饱和度拉满时加到 RGB 上的最大色彩偏移（0-1）
+const MAX_TINT = 0.2;
+// 明亮度拉满时的最大亮度偏移（0-1）
+const MAX_LUMINANCE = 0.25;
+// 按亮度预先计算偏移的表项数
+const TABLE_SIZE = 1024;
+const DEFAULT_BLENDING = 50;
+
+/**
+ * 色相转换为不改变亮度的 RGB 偏移方向
+ * @param {number} hue - 色相（度）
+ * @returns {number[]} [R, G, B] 偏移，Rec.709 亮度为 0
+ */
+function hueDirection(hue) {
+    const h = ((hue % 360) + 360) % 360 / 60;
+    const x = 1 - Math.abs(h % 2 - 1);
+    const rgb = h < 1 ? [1, x, 0] : h < 2 ? [x, 1, 0] : h < 3 ? [0, 1, x]
+        : h < 4 ? [0, x, 1] : h < 5 ? [x, 0, 1] : [1, 0, x];
+    const luma = 0.2126 * rgb[0] + 0.7152 * rgb[1] + 0.0722 * rgb[2];
+    return rgb.map(value => value - luma);
+}
+
+/**
+ * 判断分级设置是否有任何效果
+ * @param {Object} grading - settings.grading
+ * @returns {boolean} 是否需要处理
+ */
+function hasGrading(grading) {
+    return !!grading && GRADING_RANGES.some(({ key }) => grading[key]?.saturation || grading[key]?.luminance);
+}
+
+/**
+ * 计算某亮度下三个范围的权重
+ * 阴影为 (1 - y)^e、高光为 y^e，中间调取剩余部分；混合越大指数越小，范围重叠越多；
+ * 平衡通过伽马移动分界，正值让更多像素归入高光
+ * @param {number} luma - 亮度（0-1）
+ * @param {number} balance - 平衡（-100 到 100）
+ * @param {number} blending - 混合（0-100）
+ * @returns {number[]} [阴影, 中间调, 高光] 权重
+ */
+export function toneWeights(luma, balance = 0, blending = DEFAULT_BLENDING) {
+    const exponent = 1.5 + 4.5 * (1 - blending / 100);
+    const y = Math.pow(Math.min(1, Math.max(0, luma)), Math.pow(2, -balance / 100));
+    const shadows = Math.pow(1 - y, exponent);
+    const highlights = Math.pow(y, exponent);
+    return [shadows, Math.max(0, 1 - shadows - highlights), highlights];
+}
+
+/**
+ * 按亮度展开每个范围的色彩和亮度偏移，得到每个亮度级别的 RGB 总偏移（0-255）
+ * @param {Object} grading - settings.grading
+ * @returns {Float32Array} TABLE_SIZE × 3 的偏移表
+ */
+function buildGradingTable(grading) {
+    const offsets = GRADING_RANGES.map(({ key }) => {
+        const wheel = grading[key] || {};
+        const tint = hueDirection(wheel.hue || 0).map(value => value * (wheel.saturation || 0) / 100 * MAX_TINT);
+        const luminance = (wheel.luminance || 0) / 100 * MAX_LUMINANCE;
+        return tint.map(value => (value + luminance) * 255);
+    });
+    const table = new Float32Array(TABLE_SIZE * 3);
+    for (let i = 0; i < TABLE_SIZE; i++) {
+        const weights = toneWeights(i / (TABLE_SIZE - 1), grading.balance || 0, grading.blending ?? DEFAULT_BLENDING);
+        for (let c = 0; c < 3; c++) {
+            table[i * 3 + c] = weights[0] * offsets[0][c] + weights[1] * offsets[1][c] + weights[2] * offsets[2][c];
+        }
+    }
+    return table;
+}
+
+/**
+ * 在 RGBA 工作图像上应用色彩分级
+ * @param {Float32Array|Uint8ClampedArray} data - RGBA图像数据（sRGB，0-255），原地修改
+ * @param {number} width - 图像宽度
+ * @param {number} height - 图像高度
+ * @param {Object} grading - settings.grading
+ */
+export function applyColorGrading(data, width, height, grading) {
+    if (!hasGrading(grading)) {
+        return;
+    }
+    const table = buildGradingTable(grading);
+    const scale = (TABLE_SIZE - 1) / 255;
+    const length = width * height * 4;
+
+    for (let i = 0; i < length; i += 4) {
+        const r = data[i];
+        const g = data[i + 1];
+        const b = data[i + 2];
+        const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+        const index = Math.min(TABLE_SIZE - 1, Math.max(0, Math.round(luma * scale))) * 3;
+        data[i] = Math.min(255, Math.max(0, r + table[index]));
+        data[i + 1] = Math.min(255, Math.max(0, g + table[index + 1]));
+        data[i + 2] = Math.min(255, Math.max(0, b + table[index + 2]));
+    }
+}
+
+/**
+ * 深拷贝分级设置，只保留有效的调整
+ * @param {Object} grading - settings.grading 或预设中的分级设置
+ * @returns {Object|null} 拷贝，没有效果时为 null
+ */
+export function cloneGrading(grading) {
+    if (!hasGrading(grading)) return null;
+    const copy = {};
+    GRADING_RANGES.forEach(({ key }) => {
+        const wheel = grading[key];
+        if (wheel && (wheel.saturation || wheel.luminance)) {
+            copy[key] = { hue: wheel.hue || 0, saturation: wheel.saturation || 0, luminance: wheel.luminance || 0 };
+        }
+    });
+    if (grading.balance) copy.balance = grading.balance;
+    copy.blending = grading.blending ?? DEFAULT_BLENDING;
+    return copy;
+}
+
+/**
+ * 绘制色轮背景：角度为色相（右侧为红色，逆时针增加），半径为饱和度
+ */
+function createWheelImage(ctx, size) {
+    const image = ctx.createImageData(size, size);
+    const radius = size / 2;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const dx = x + 0.5 - radius;
+            const dy = radius - (y + 0.5);
+            const distance = Math.hypot(dx, dy) / radius;
+            if (distance > 1) continue;
+            const direction = hueDirection(Math.atan2(dy, dx) * 180 / Math.PI);
+            const i = (y * size + x) * 4;
+            // 中心为灰色，越向外越饱和
+            for (let c = 0; c < 3; c++) {
+                image.data[i + c] = Math.min(255, Math.max(0, (0.5 + direction[c] * distance * 0.8) * 255));
+            }
+            image.data[i + 3] = 255;
+        }
+    }
+    return image;
+}
+
+/**
+ * 初始化色彩分级
+ * @param {Object} elements - UI元素对象
+ * @param {Object} settings - 设置对象，分级写入 settings.grading
+ * @param {Function} updateFunction - 调整后重新渲染图像的函数
+ * @returns {Object} {syncControls}
+ */
+export function initColorGradingModule(elements, settings, updateFunction) {
+    const { wheelsContainer, balanceSlider, balanceValue, blendingSlider, blendingValue, resetButton } = elements;
+    // 编辑中的完整状态，写回设置时去掉无效部分
+    let state = {};
+    const wheels = {};
+    let dragging = null;
+
+    function commit() {
+        settings.grading = cloneGrading(state);
+        updateFunction();
+    }
+
+    function drawWheel(key) {
+        const { canvas, ctx, background, readout, slider, value } = wheels[key];
+        const wheel = state[key];
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.putImageData(background, 0, 0);
+        const radius = canvas.width / 2;
+        const angle = wheel.hue * Math.PI / 180;
+        const distance = wheel.saturation / 100 * radius;
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(radius + Math.cos(angle) * distance, radius - Math.sin(angle) * distance, 5, 0, Math.PI * 2);
+        ctx.stroke();
+        readout.textContent = `色相 ${Math.round(wheel.hue)}° · 饱和度 ${Math.round(wheel.saturation)}`;
+        slider.value = wheel.luminance;
+        value.textContent = Math.round(wheel.luminance);
+    }
+
+    function setFromPointer(key, e) {
+        const rect = wheels[key].canvas.getBoundingClientRect();
+        const dx = (e.clientX - rect.left) / rect.width * 2 - 1;
+        const dy = 1 - (e.clientY - rect.top) / rect.height * 2;
+        const hue = (Math.atan2(dy, dx) * 180 / Math.PI + 360) % 360;
+        state[key] = { ...state[key], hue: Math.round(hue), saturation: Math.round(Math.min(1, Math.hypot(dx, dy)) * 100) };
+        drawWheel(key);
+        commit();
+    }
+
+    // 每个范围一个色轮和一个明亮度滑块
+    GRADING_RANGES.forEach(({ key, label }) => {
+        const block = document.createElement('div');
+        block.className = 'grading-wheel';
+        const title = document.createElement('div');
+        title.className = 'grading-wheel-title';
+        title.textContent = label;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 120;
+        const readout = document.createElement('div');
+        readout.className = 'profile-hint';
+        const wrapper = document.createElement('div');
+        wrapper.className = 'slider-wrapper';
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = -100;
+        slider.max = 100;
+        slider.step = 1;
+        slider.title = `${label}明亮度`;
+        const value = document.createElement('span');
+        value.className = 'value-display';
+        wrapper.append(slider, value);
+        block.append(title, canvas, readout, wrapper);
+        wheelsContainer.appendChild(block);
+
+        const ctx = canvas.getContext('2d');
+        wheels[key] = { canvas, ctx, background: createWheelImage(ctx, canvas.width), readout, slider, value };
+
+        canvas.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            dragging = key;
+            setFromPointer(key, e);
+        });
+        // 双击把色轮归零
+        canvas.addEventListener('dblclick', () => {
+            state[key] = { ...state[key], hue: 0, saturation: 0 };
+            drawWheel(key);
+            commit();
+        });
+        slider.addEventListener('input', () => {
+            state[key] = { ...state[key], luminance: parseInt(slider.value) };
+            value.textContent = slider.value;
+            commit();
+        });
+    });
+
+    window.addEventListener('mousemove', (e) => {
+        if (dragging) setFromPointer(dragging, e);
+    });
+    window.addEventListener('mouseup', () => {
+        dragging = null;
+    });
+
+    balanceSlider.addEventListener('input', () => {
+        state.balance = parseInt(balanceSlider.value);
+        balanceValue.textContent = state.balance;
+        commit();
+    });
+    blendingSlider.addEventListener('input', () => {
+        state.blending = parseInt(blendingSlider.value);
+        blendingValue.textContent = state.blending;
+        commit();
+    });
+
+    // 让控件与设置一致（重置、应用滤镜后调用）
+    function syncControls() {
+        const grading = settings.grading || {};
+        state = {
+            balance: grading.balance || 0,
+            blending: grading.blending ?? DEFAULT_BLENDING
+        };
+        GRADING_RANGES.forEach(({ key }) => {
+            state[key] = { hue: 0, saturation: 0, luminance: 0, ...grading[key] };
+            drawWheel(key);
+        });
+        balanceSlider.value = state.balance;
+        balanceValue.textContent = state.balance;
+        blendingSlider.value = state.blending;
+        blendingValue.textContent = state.blending;
+    }
+
+    resetButton.addEventListener('click', () => {
+        settings.grading = null;
+        syncControls();
+        updateFunction();
+    });
+
+    syncControls();
+    return { syncControls };
+}
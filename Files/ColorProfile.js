@@ -0,0 +1,279 @@
+/**
+ * 色彩配置模块
+ * 管理相机输入 ICC 和输出色彩空间，ICC 文件保存在 IndexedDB 中，
+ * 每个相机型号的选择记录在 localStorage 中，打开同型号的文件时自动套用。
+ * 非 sRGB 的输出在画布上转换为 sRGB 显示（ColorSpace.js），导出时嵌入对应的 ICC（IccProfile.js）
+ */
+
+import { saveAsset, loadAsset, listAssets } from './AssetStore.js';
+import { createIccProfile } from './IccProfile.js';
+
+// 内置输出色彩空间，对应 LibRaw 的 output_color
+const OUTPUT_SPACES = {
+    srgb: { label: 'sRGB', outputColor: 1 },
+    adobe: { label: 'Adobe RGB', outputColor: 2 },
+    prophoto: { label: 'ProPhoto RGB', outputColor: 4 },
+    // LibRaw 的 P3 色域使用 D65 白点，与 Display P3 的原色相同
+    p3: { label: 'Display P3', outputColor: 7 },
+};
+
+const CAMERA_ICC = 'camera-icc';
+const OUTPUT_ICC = 'output-icc';
+const ICC_PREFIX = 'icc:';
+const STORAGE_KEY = 'pixelfruit.colorProfiles';
+const DEFAULT_CHOICE = { cameraProfile: '', output: 'srgb' };
+
+/**
+ * 读取所有相机型号的色彩配置选择
+ * @returns {Object} 以"厂商 型号"为键的选择
+ */
+function loadChoices() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * 检查文件是否为 ICC 配置文件（偏移 36 处为 'acsp' 签名）
+ * @param {Uint8Array} bytes - 文件内容
+ * @returns {boolean} 是否为 ICC 文件
+ */
+function isIccProfile(bytes) {
+    return bytes.length > 128 && String.fromCharCode(...bytes.subarray(36, 40)) === 'acsp';
+}
+
+/**
+ * 色彩配置管理器类
+ */
+class ColorProfileManager {
+    /**
+     * @param {Object} elements - UI元素对象
+     * @param {Object} libraw - LibRaw 实例，ICC 文件通过它写入 Worker
+     * @param {Object} settings - 设置对象，输出色彩空间写入 settings.output_color
+     */
+    constructor(elements, libraw, settings) {
+        this.elements = elements;
+        this.libraw = libraw;
+        this.settings = settings;
+        // 当前文件的相机（"厂商 型号"），选择按它记忆
+        this.cameraKey = null;
+        this.choice = { ...DEFAULT_CHOICE };
+        // Worker 中实际加载的 ICC 名称，避免重复传输
+        this.attached = { cameraProfile: '', outputProfile: '' };
+        // 已加载的输出 ICC 的内容，导出时原样嵌入
+        this.outputProfileData = null;
+        // libraw.wasm 能否保存 ICC 文件（需要虚拟文件系统），确认之前按不能处理
+        this.sessionFiles = false;
+    }
+
+    /**
+     * 用已保存的 ICC 文件填充两个选择器
+     */
+    async refreshOptions() {
+        const { cameraProfileSelect, outputSpaceSelect } = this.elements;
+        const [cameraProfiles, outputProfiles] = await Promise.all([listAssets(CAMERA_ICC), listAssets(OUTPUT_ICC)]);
+
+        // 不能加载 ICC 时保留选项，但不能选
+        const addIccOption = (select, label, value) => {
+            const option = new Option(label, value);
+            option.disabled = !this.sessionFiles;
+            select.add(option);
+        };
+
+        cameraProfileSelect.innerHTML = '';
+        cameraProfileSelect.add(new Option('内置色彩矩阵', ''));
+        cameraProfiles.forEach(name => addIccOption(cameraProfileSelect, name, name));
+
+        outputSpaceSelect.innerHTML = '';
+        Object.entries(OUTPUT_SPACES).forEach(([key, space]) => outputSpaceSelect.add(new Option(space.label, key)));
+        outputProfiles.forEach(name => addIccOption(outputSpaceSelect, `ICC: ${name}`, ICC_PREFIX + name));
+
+        this.updateControls();
+    }
+
+    /**
+     * 让选择器和提示与当前选择保持一致
+     */
+    updateControls() {
+        const { cameraProfileSelect, outputSpaceSelect, colorProfileHint } = this.elements;
+        cameraProfileSelect.value = this.choice.cameraProfile;
+        outputSpaceSelect.value = this.choice.output;
+
+        // LibRaw 只在有相机 ICC 时才通过 LCMS 转换，此时内置的 output_color 不起作用
+        const usesOutputIcc = this.choice.output.startsWith(ICC_PREFIX);
+        if (usesOutputIcc && !this.choice.cameraProfile) {
+            colorProfileHint.textContent = '输出 ICC 需要配合相机 ICC 使用，当前按 sRGB 输出';
+        } else if (this.choice.cameraProfile && !usesOutputIcc && this.choice.output !== 'srgb') {
+            colorProfileHint.textContent = '使用相机 ICC 时只能输出 sRGB 或上传的输出 ICC，当前按 sRGB 输出';
+        } else if (usesOutputIcc) {
+            colorProfileHint.textContent = '画面未按输出 ICC 转换，颜色仅供参考；导出的文件嵌入该 ICC';
+        } else if (!this.sessionFiles) {
+            colorProfileHint.textContent = '当前 libraw.wasm 不支持加载 ICC 文件';
+        } else {
+            colorProfileHint.textContent = '';
+        }
+    }
+
+    /**
+     * 把 LibRaw 实际输出的色彩空间写入设置对象（重置设置后调用）。
+     * 有相机 ICC 时 LibRaw 通过 LCMS 转换到 sRGB 或输出 ICC，内置的 output_color 不起作用，
+     * 这里也写 sRGB，画布和导出才不会按错误的色域转换
+     */
+    syncSettings() {
+        const builtIn = OUTPUT_SPACES[this.choice.output];
+        this.settings.output_color = builtIn && !this.choice.cameraProfile ? builtIn.outputColor : OUTPUT_SPACES.srgb.outputColor;
+    }
+
+    /**
+     * 导出文件要嵌入的 ICC：内置的非 sRGB 色彩空间生成对应的 ICC，配合相机 ICC 使用的输出 ICC 原样嵌入
+     * @returns {Uint8Array|null} sRGB 输出返回 null，导出的文件不带 ICC
+     */
+    getOutputProfile() {
+        if (this.choice.cameraProfile && this.attached.outputProfile) {
+            return this.outputProfileData;
+        }
+        return this.settings.output_color !== OUTPUT_SPACES.srgb.outputColor ? createIccProfile(this.settings.output_color) : null;
+    }
+
+    /**
+     * 应用一个选择：按需把 ICC 文件加载到 Worker，并更新 output_color。
+     * 需要之后调用 reprocess() 才会生效
+     * @param {Object} choice - {cameraProfile, output}
+     */
+    async apply(choice) {
+        if (!this.sessionFiles) {
+            // 记住的 ICC 无法加载时退回内置矩阵和 sRGB
+            choice = {
+                cameraProfile: '',
+                output: choice.output.startsWith(ICC_PREFIX) ? DEFAULT_CHOICE.output : choice.output
+            };
+        }
+        const outputProfile = choice.output.startsWith(ICC_PREFIX) ? choice.output.slice(ICC_PREFIX.length) : '';
+        this.choice = { ...choice };
+
+        if (choice.cameraProfile !== this.attached.cameraProfile) {
+            const data = choice.cameraProfile ? await loadAsset(CAMERA_ICC, choice.cameraProfile) : null;
+            await this.libraw.setCameraProfile(data);
+            this.attached.cameraProfile = data ? choice.cameraProfile : '';
+            // 记住的 ICC 已被删除时退回内置矩阵
+            this.choice.cameraProfile = this.attached.cameraProfile;
+        }
+        if (outputProfile !== this.attached.outputProfile) {
+            const data = outputProfile ? await loadAsset(OUTPUT_ICC, outputProfile) : null;
+            await this.libraw.setOutputProfile(data);
+            this.attached.outputProfile = data ? outputProfile : '';
+            this.outputProfileData = data;
+            if (outputProfile && !data) {
+                this.choice.output = DEFAULT_CHOICE.output;
+            }
+        }
+
+        this.syncSettings();
+        this.updateControls();
+    }
+
+    /**
+     * 打开文件后调用：套用该相机型号上次的选择
+     * @param {Object} metadata - libraw.metadata() 的结果
+     */
+    async applyForCamera(metadata) {
+        this.cameraKey = `${metadata?.camera_make || ''} ${metadata?.camera_model || ''}`.trim() || null;
+        const remembered = this.cameraKey ? loadChoices()[this.cameraKey] : null;
+        await this.apply({ ...DEFAULT_CHOICE, ...remembered });
+    }
+
+    /**
+     * 为当前相机记住当前选择
+     */
+    remember() {
+        if (!this.cameraKey) return;
+        const choices = loadChoices();
+        choices[this.cameraKey] = this.choice;
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(choices));
+        } catch (error) {
+            console.warn('保存色彩配置选择失败:', error);
+        }
+    }
+
+    /**
+     * 保存上传的 ICC 文件
+     * @param {string} kind - CAMERA_ICC 或 OUTPUT_ICC
+     * @param {File} file - 上传的文件
+     */
+    async storeProfile(kind, file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        if (!isIccProfile(bytes)) {
+            throw new Error(`${file.name} 不是有效的 ICC 配置文件`);
+        }
+        await saveAsset(kind, file.name, bytes);
+        // 同名文件被覆盖时需要重新加载到 Worker
+        if (kind === CAMERA_ICC && this.attached.cameraProfile === file.name) {
+            this.attached.cameraProfile = null;
+        }
+        if (kind === OUTPUT_ICC && this.attached.outputProfile === file.name) {
+            this.attached.outputProfile = null;
+        }
+        await this.refreshOptions();
+    }
+}
+
+/**
+ * 初始化色彩配置功能
+ * @param {Object} elements - UI元素对象
+ * @param {Object} libraw - LibRaw 实例
+ * @param {Object} settings - 设置对象
+ * @param {Function} updateFunction - 选择改变后重新处理图像的函数
+ * @returns {ColorProfileManager} 色彩配置管理器实例
+ */
+export function initColorProfileModule(elements, libraw, settings, updateFunction) {
+    const manager = new ColorProfileManager(elements, libraw, settings);
+    // ICC 文件保存在 Worker 的虚拟文件系统中，没有文件系统的 libraw.wasm 只能用内置的矩阵和色彩空间
+    libraw.supports('writeFile').then(supported => {
+        manager.sessionFiles = supported;
+        elements.cameraProfileInput.disabled = !supported;
+        elements.outputProfileInput.disabled = !supported;
+        return manager.refreshOptions();
+    }).catch(error => console.warn('读取已保存的 ICC 文件失败:', error));
+
+    // 用户改变选择：应用、按相机记住并重新处理
+    const onSelectionChange = async (choice) => {
+        try {
+            await manager.apply(choice);
+            manager.remember();
+            await updateFunction();
+        } catch (error) {
+            console.error('应用色彩配置失败:', error);
+            elements.colorProfileHint.textContent = `应用色彩配置失败: ${error.message}`;
+        }
+    };
+
+    elements.cameraProfileSelect.addEventListener('change', (e) => {
+        onSelectionChange({ ...manager.choice, cameraProfile: e.target.value });
+    });
+    elements.outputSpaceSelect.addEventListener('change', (e) => {
+        onSelectionChange({ ...manager.choice, output: e.target.value });
+    });
+
+    // 上传 ICC 后直接选中它
+    const onUpload = (input, kind, toChoice) => {
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            input.value = '';
+            if (!file) return;
+            try {
+                await manager.storeProfile(kind, file);
+                await onSelectionChange(toChoice(file.name));
+            } catch (error) {
+                console.error(`加载 ${file.name} 失败:`, error);
+                elements.colorProfileHint.textContent = error.message;
+            }
+        });
+    };
+    onUpload(elements.cameraProfileInput, CAMERA_ICC, name => ({ ...manager.choice, cameraProfile: name }));
+    onUpload(elements.outputProfileInput, OUTPUT_ICC, name => ({ ...manager.choice, output: ICC_PREFIX + name }));
+
+    return manager;
+}
@@ -0,0 +1,209 @@
+/**
+ * 色彩空间转换模块
+ * LibRaw 输出的工作图像是 sRGB 伽马编码的（0-255）。曝光、白平衡系数和模糊这类
+ * 模拟光量的运算要在线性光上进行，对比度、曲线、饱和度等按人眼感知设计的调整则留在
+ * sRGB 编码上。线性光数据同样按 0-255 计，便于各模块共用阈值和钳制范围。
+ * 工作图像的原色由 LibRaw 的 output_color 决定，不是 sRGB 时，显示前转换到 sRGB，
+ * 导出时换成该色彩空间自己的传递曲线（见 OUTPUT_SPACES）。
+ */
+
+// 查找表精度，表项之间线性插值，误差远小于 8 位量化
+const TABLE_SIZE = 4096;
+const TABLE_SCALE = (TABLE_SIZE - 1) / 255;
+
+function decode(value) {
+    const v = value / 255;
+    return (v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4)) * 255;
+}
+
+function encode(value) {
+    const v = value / 255;
+    return (v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255;
+}
+
+function buildTable(transfer) {
+    const table = new Float32Array(TABLE_SIZE + 1);
+    for (let i = 0; i < TABLE_SIZE; i++) {
+        table[i] = transfer(i / TABLE_SCALE);
+    }
+    // 多一项，插值时不必判断末尾
+    table[TABLE_SIZE] = table[TABLE_SIZE - 1];
+    return table;
+}
+
+const DECODE_TABLE = buildTable(decode);
+const ENCODE_TABLE = buildTable(encode);
+
+function lookup(table, value) {
+    if (!(value > 0)) return 0;
+    if (value >= 255) return table[TABLE_SIZE - 1];
+    const position = value * TABLE_SCALE;
+    const index = position | 0;
+    return table[index] + (table[index + 1] - table[index]) * (position - index);
+}
+
+/**
+ * sRGB 编码值转换为线性光
+ * @param {number} value - sRGB 值（0-255）
+ * @returns {number} 线性光（0-255）
+ */
+export function srgbToLinear(value) {
+    return lookup(DECODE_TABLE, value);
+}
+
+/**
+ * 线性光转换为 sRGB 编码值，超出 0-255 的部分被截断
+ * @param {number} value - 线性光（0-255）
+ * @returns {number} sRGB 值（0-255）
+ */
+export function linearToSrgb(value) {
+    return lookup(ENCODE_TABLE, value);
+}
+
+/**
+ * 把 RGBA 工作图像的 RGB 通道从 sRGB 转换为线性光，透明度不变
+ * @param {Float32Array} data - RGBA图像数据，原地修改；必须是浮点数组，8 位数组放不下线性光的暗部精度
+ */
+export function imageToLinear(data) {
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = lookup(DECODE_TABLE, data[i]);
+        data[i + 1] = lookup(DECODE_TABLE, data[i + 1]);
+        data[i + 2] = lookup(DECODE_TABLE, data[i + 2]);
+    }
+}
+
+/**
+ * 把 RGBA 工作图像的 RGB 通道从线性光转换回 sRGB，超过 255 的高光在这里截断
+ * @param {Float32Array} data - RGBA图像数据，原地修改
+ */
+export function imageToSrgb(data) {
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = lookup(ENCODE_TABLE, data[i]);
+        data[i + 1] = lookup(ENCODE_TABLE, data[i + 1]);
+        data[i + 2] = lookup(ENCODE_TABLE, data[i + 2]);
+    }
+}
+
+// 白点的 xy 色度坐标
+const D65 = [0.3127, 0.3290];
+const D50 = [0.3457, 0.3585];
+
+/**
+ * 支持显示和导出的输出色彩空间，键为 LibRaw 的 output_color
+ * primaries 为红、绿、蓝原色的 xy 色度坐标；gamma 为导出文件的传递曲线，null 表示沿用 sRGB 曲线
+ */
+export const OUTPUT_SPACES = {
+    1: { name: 'sRGB', primaries: [[0.64, 0.33], [0.30, 0.60], [0.15, 0.06]], white: D65, gamma: null },
+    2: { name: 'Adobe RGB (1998)', primaries: [[0.64, 0.33], [0.21, 0.71], [0.15, 0.06]], white: D65, gamma: 563 / 256 },
+    4: { name: 'ProPhoto RGB', primaries: [[0.7347, 0.2653], [0.1596, 0.8404], [0.0366, 0.0001]], white: D50, gamma: 1.8 },
+    // LibRaw 的 P3 色域使用 D65 白点，与 Display P3 的原色和传递曲线相同
+    7: { name: 'Display P3', primaries: [[0.680, 0.320], [0.265, 0.690], [0.150, 0.060]], white: D65, gamma: null }
+};
+
+function xyToXyz([x, y]) {
+    return [x / y, 1, (1 - x - y) / y];
+}
+
+function multiply(a, b) {
+    return a.map(row => b[0].map((_, j) => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]));
+}
+
+function invert(m) {
+    const [[a, b, c], [d, e, f], [g, h, i]] = m;
+    const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+    return [
+        [(e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det],
+        [(f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det],
+        [(d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det]
+    ];
+}
+
+function diagonal(v) {
+    return [[v[0], 0, 0], [0, v[1], 0], [0, 0, v[2]]];
+}
+
+/**
+ * 线性 RGB 到 XYZ 的矩阵，白点为色彩空间自己的白点
+ */
+function rgbToXyz(space) {
+    // 各列为原色的 XYZ，按白点缩放，使 RGB (1, 1, 1) 正好是白点
+    const columns = space.primaries.map(xyToXyz);
+    const matrix = [0, 1, 2].map(row => columns.map(column => column[row]));
+    const scale = multiply(invert(matrix), xyToXyz(space.white).map(v => [v])).map(row => row[0]);
+    return multiply(matrix, diagonal(scale));
+}
+
+// Bradford 色适应变换，与 LibRaw 生成各输出色彩空间矩阵时相同
+const BRADFORD = [
+    [0.8951, 0.2664, -0.1614],
+    [-0.7502, 1.7135, 0.0367],
+    [0.0389, -0.0685, 1.0296]
+];
+
+function adaptation(from, to) {
+    const source = multiply(BRADFORD, xyToXyz(from).map(v => [v]));
+    const target = multiply(BRADFORD, xyToXyz(to).map(v => [v]));
+    const gains = [0, 1, 2].map(i => target[i][0] / source[i][0]);
+    return multiply(invert(BRADFORD), multiply(diagonal(gains), BRADFORD));
+}
+
+/**
+ * 输出色彩空间的线性 RGB 到 D50 白点 XYZ 的矩阵（ICC 配置文件的连接空间）
+ * @param {number} outputColor - LibRaw 的 output_color
+ * @returns {number[][]|null} 3x3 矩阵，不支持的色彩空间返回 null
+ */
+export function outputToXyzD50(outputColor) {
+    const space = OUTPUT_SPACES[outputColor];
+    return space ? multiply(adaptation(space.white, D50), rgbToXyz(space)) : null;
+}
+
+/**
+ * 输出色彩空间的线性 RGB 到线性 sRGB 的矩阵
+ * @param {number} outputColor - LibRaw 的 output_color
+ * @returns {number[][]|null} 3x3 矩阵，sRGB 和不支持的色彩空间返回 null
+ */
+export function outputToSrgbMatrix(outputColor) {
+    const space = OUTPUT_SPACES[outputColor];
+    if (!space || outputColor === 1) return null;
+    const srgb = OUTPUT_SPACES[1];
+    return multiply(invert(rgbToXyz(srgb)), multiply(adaptation(space.white, srgb.white), rgbToXyz(space)));
+}
+
+/**
+ * 把工作图像从输出色彩空间转换到 sRGB 以便在画布上显示，sRGB 范围外的颜色被截断
+ * @param {Float32Array|Uint8ClampedArray} data - RGBA图像数据（0-255），原地修改
+ * @param {number} outputColor - 工作图像的 output_color，sRGB 或不支持的色彩空间不做转换
+ */
+export function imageToDisplay(data, outputColor) {
+    const m = outputToSrgbMatrix(outputColor);
+    if (!m) return;
+    for (let i = 0; i < data.length; i += 4) {
+        const r = lookup(DECODE_TABLE, data[i]);
+        const g = lookup(DECODE_TABLE, data[i + 1]);
+        const b = lookup(DECODE_TABLE, data[i + 2]);
+        data[i] = lookup(ENCODE_TABLE, m[0][0] * r + m[0][1] * g + m[0][2] * b);
+        data[i + 1] = lookup(ENCODE_TABLE, m[1][0] * r + m[1][1] * g + m[1][2] * b);
+        data[i + 2] = lookup(ENCODE_TABLE, m[2][0] * r + m[2][1] * g + m[2][2] * b);
+    }
+}
+
+const gammaTables = new Map();
+
+/**
+ * 把工作图像的传递曲线从 sRGB 曲线换成输出色彩空间自己的曲线（导出前调用），原色不变
+ * @param {Float32Array|Uint8ClampedArray} data - RGBA图像数据（0-255），原地修改
+ * @param {number} outputColor - 工作图像的 output_color，使用 sRGB 曲线的色彩空间不做转换
+ */
+export function imageToOutput(data, outputColor) {
+    const gamma = OUTPUT_SPACES[outputColor]?.gamma;
+    if (!gamma) return;
+    if (!gammaTables.has(gamma)) {
+        gammaTables.set(gamma, buildTable(value => Math.pow(decode(value) / 255, 1 / gamma) * 255));
+    }
+    const table = gammaTables.get(gamma);
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = lookup(table, data[i]);
+        data[i + 1] = lookup(table, data[i + 1]);
+        data[i + 2] = lookup(table, data[i + 2]);
+    }
+}
@@ -0,0 +1,342 @@
+/**
+ * 曲线模块
+ * RGB 总曲线和红、绿、蓝分通道的点曲线：控制点经单调三次插值编译为查找表，在渲染流水线中应用；
+ * 编辑器可拖动控制点，并以当前图像的直方图为背景
+ */
+
+export const CURVE_CHANNELS = ['master', 'red', 'green', 'blue'];
+
+const CHANNEL_COLORS = {
+    master: '#e0e0e0',
+    red: '#ff5c5c',
+    green: '#5cd65c',
+    blue: '#5c8cff'
+};
+
+// 直方图中与曲线通道对应的字段
+const HISTOGRAM_FIELDS = { master: 'l', red: 'r', green: 'g', blue: 'b' };
+
+// 选中控制点的距离（曲线坐标，0-255）
+const HIT_RADIUS = 8;
+
+const IDENTITY = [[0, 0], [255, 255]];
+
+/**
+ * 判断一条曲线是否为恒等曲线（没有调整）
+ * @param {number[][]} points - 控制点 [[x, y], ...]
+ * @returns {boolean} 是否为恒等曲线
+ */
+function isIdentity(points) {
+    return !points || points.every(([x, y]) => x === y) && points[0][0] === 0 && points[points.length - 1][0] === 255;
+}
+
+/**
+ * 用单调三次插值（Fritsch-Carlson）把控制点编译为 256 项查找表，
+ * 曲线不会越过相邻控制点，避免普通样条在陡峭处产生的过冲
+ * @param {number[][]} points - 按 x 排序的控制点（0-255）
+ * @returns {Float32Array} 查找表，下标为输入值，值为输出值（0-255）
+ */
+export function interpolateCurve(points) {
+    const lut = new Float32Array(256);
+    const n = points.length;
+    const xs = points.map(point => point[0]);
+    const ys = points.map(point => point[1]);
+
+    // 各段斜率和各点切线
+    const slopes = [];
+    for (let i = 0; i < n - 1; i++) {
+        const dx = xs[i + 1] - xs[i];
+        slopes.push(dx > 0 ? (ys[i + 1] - ys[i]) / dx : 0);
+    }
+    const tangents = new Array(n);
+    tangents[0] = slopes[0];
+    tangents[n - 1] = slopes[n - 2];
+    for (let i = 1; i < n - 1; i++) {
+        tangents[i] = slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+    }
+    for (let i = 0; i < n - 1; i++) {
+        if (slopes[i] === 0) {
+            tangents[i] = 0;
+            tangents[i + 1] = 0;
+            continue;
+        }
+        const a = tangents[i] / slopes[i];
+        const b = tangents[i + 1] / slopes[i];
+        const length = Math.hypot(a, b);
+        if (length > 3) {
+            tangents[i] = 3 * a / length * slopes[i];
+            tangents[i + 1] = 3 * b / length * slopes[i];
+        }
+    }
+
+    let segment = 0;
+    for (let x = 0; x < 256; x++) {
+        let y;
+        if (x <= xs[0]) {
+            y = ys[0];
+        } else if (x >= xs[n - 1]) {
+            y = ys[n - 1];
+        } else {
+            while (x > xs[segment + 1]) segment++;
+            const h = xs[segment + 1] - xs[segment];
+            const t = (x - xs[segment]) / h;
+            const t2 = t * t;
+            const t3 = t2 * t;
+            y = (2 * t3 - 3 * t2 + 1) * ys[segment]
+                + (t3 - 2 * t2 + t) * h * tangents[segment]
+                + (-2 * t3 + 3 * t2) * ys[segment + 1]
+                + (t3 - t2) * h * tangents[segment + 1];
+        }
+        lut[x] = Math.min(255, Math.max(0, y));
+    }
+    return lut;
+}
+
+/**
+ * 编译曲线设置：先经过 RGB 总曲线，再经过各通道曲线，合成为每个通道一张查找表
+ * @param {Object} curves - settings.curves，{master, red, green, blue}
+ * @returns {Float32Array[]|null} 红、绿、蓝三张查找表，所有曲线都是恒等曲线时为 null
+ */
+export function buildCurveLUTs(curves) {
+    if (!curves || CURVE_CHANNELS.every(channel => isIdentity(curves[channel]))) {
+        return null;
+    }
+    const master = isIdentity(curves.master) ? null : interpolateCurve(curves.master);
+    return ['red', 'green', 'blue'].map(channel => {
+        const channelLut = isIdentity(curves[channel]) ? null : interpolateCurve(curves[channel]);
+        const lut = new Float32Array(256);
+        for (let i = 0; i < 256; i++) {
+            const value = master ? master[i] : i;
+            lut[i] = channelLut ? sampleLUT(channelLut, value) : value;
+        }
+        return lut;
+    });
+}
+
+/**
+ * 在查找表中线性插值取值，工作图像是浮点数据，不能直接取整查表
+ */
+function sampleLUT(lut, value) {
+    if (value <= 0) return lut[0];
+    if (value >= 255) return lut[255];
+    const i = Math.floor(value);
+    return lut[i] + (lut[i + 1] - lut[i]) * (value - i);
+}
+
+/**
+ * 在 RGBA 工作图像上应用曲线
+ * @param {Float32Array|Uint8ClampedArray} data - RGBA图像数据（0-255），原地修改
+ * @param {number} width - 图像宽度
+ * @param {number} height - 图像高度
+ * @param {Object} curves - settings.curves
+ */
+export function applyCurves(data, width, height, curves) {
+    const luts = buildCurveLUTs(curves);
+    if (!luts) {
+        return;
+    }
+    const [redLut, greenLut, blueLut] = luts;
+    const length = width * height * 4;
+    for (let i = 0; i < length; i += 4) {
+        data[i] = sampleLUT(redLut, data[i]);
+        data[i + 1] = sampleLUT(greenLut, data[i + 1]);
+        data[i + 2] = sampleLUT(blueLut, data[i + 2]);
+    }
+}
+
+/**
+ * 深拷贝曲线设置，没有调整的通道不保留
+ * @param {Object} curves - settings.curves 或预设中的曲线
+ * @returns {Object|null} 拷贝，全部为恒等曲线时为 null
+ */
+export function cloneCurves(curves) {
+    if (!curves) return null;
+    const copy = {};
+    CURVE_CHANNELS.forEach(channel => {
+        if (!isIdentity(curves[channel])) {
+            copy[channel] = curves[channel].map(point => [...point]);
+        }
+    });
+    return Object.keys(copy).length ? copy : null;
+}
+
+/**
+ * 初始化曲线编辑器
+ * @param {Object} elements - UI元素对象
+ * @param {Object} settings - 设置对象，曲线写入 settings.curves
+ * @param {Function} updateFunction - 曲线改变后重新渲染图像的函数
+ * @param {Function} getHistogram - 返回当前图像的直方图（HistogramManager.js 的 calculateHistogram 结果），没有图像时返回 null
+ * @returns {Object} {syncControls, refreshHistogram}
+ */
+export function initCurvesModule(elements, settings, updateFunction, getHistogram) {
+    const { curveCanvas, channelSelect, resetChannelButton } = elements;
+    const ctx = curveCanvas.getContext('2d');
+    // 编辑中的曲线，四个通道都有控制点
+    let curves = {};
+    let channel = 'master';
+    let histogram = null;
+    // 正在拖动的控制点下标
+    let dragIndex = -1;
+
+    function syncControls() {
+        CURVE_CHANNELS.forEach(name => {
+            const points = settings.curves?.[name];
+            curves[name] = points ? points.map(point => [...point]) : IDENTITY.map(point => [...point]);
+        });
+        draw();
+    }
+
+    // 编辑结果写回设置对象，没有调整时为 null，渲染时可以跳过
+    function commit() {
+        settings.curves = cloneCurves(curves);
+        updateFunction();
+    }
+
+    // 曲线坐标 <-> 画布坐标
+    const toCanvasX = x => x / 255 * curveCanvas.width;
+    const toCanvasY = y => (1 - y / 255) * curveCanvas.height;
+
+    function toCurvePoint(e) {
+        const rect = curveCanvas.getBoundingClientRect();
+        return [
+            Math.round(Math.min(255, Math.max(0, (e.clientX - rect.left) / rect.width * 255))),
+            Math.round(Math.min(255, Math.max(0, (1 - (e.clientY - rect.top) / rect.height) * 255)))
+        ];
+    }
+
+    function drawHistogram() {
+        if (!histogram) return;
+        const field = HISTOGRAM_FIELDS[channel];
+        let max = 0;
+        for (let i = 0; i < 256; i++) max = Math.max(max, histogram[i][field]);
+        if (!max) return;
+        ctx.fillStyle = 'rgba(128, 128, 128, 0.35)';
+        ctx.beginPath();
+        ctx.moveTo(0, curveCanvas.height);
+        for (let i = 0; i < 256; i++) {
+            // 开方压缩，避免峰值把其他区域压得看不见
+            ctx.lineTo(toCanvasX(i), curveCanvas.height * (1 - Math.sqrt(histogram[i][field] / max)));
+        }
+        ctx.lineTo(curveCanvas.width, curveCanvas.height);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    function drawCurve(name, active) {
+        const lut = interpolateCurve(curves[name]);
+        ctx.strokeStyle = CHANNEL_COLORS[name];
+        ctx.globalAlpha = active ? 1 : 0.35;
+        ctx.lineWidth = active ? 2 : 1;
+        ctx.beginPath();
+        for (let x = 0; x < 256; x++) {
+            const method = x === 0 ? 'moveTo' : 'lineTo';
+            ctx[method](toCanvasX(x), toCanvasY(lut[x]));
+        }
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+        if (active) {
+            ctx.fillStyle = CHANNEL_COLORS[name];
+            curves[name].forEach(([x, y]) => {
+                ctx.fillRect(toCanvasX(x) - 4, toCanvasY(y) - 4, 8, 8);
+            });
+        }
+    }
+
+    function draw() {
+        const { width, height } = curveCanvas;
+        ctx.clearRect(0, 0, width, height);
+        drawHistogram();
+
+        // 四等分网格和对角参考线
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 1; i < 4; i++) {
+            ctx.moveTo(width * i / 4, 0);
+            ctx.lineTo(width * i / 4, height);
+            ctx.moveTo(0, height * i / 4);
+            ctx.lineTo(width, height * i / 4);
+        }
+        ctx.moveTo(0, height);
+        ctx.lineTo(width, 0);
+        ctx.stroke();
+
+        // 其他通道淡显，当前通道在最上层
+        CURVE_CHANNELS.filter(name => name !== channel && !isIdentity(curves[name]))
+            .forEach(name => drawCurve(name, false));
+        drawCurve(channel, true);
+    }
+
+    function findPoint([x, y]) {
+        return curves[channel].findIndex(point => Math.hypot(point[0] - x, point[1] - y) <= HIT_RADIUS);
+    }
+
+    curveCanvas.addEventListener('mousedown', (e) => {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        const position = toCurvePoint(e);
+        dragIndex = findPoint(position);
+        if (dragIndex < 0) {
+            // 在空白处按下：插入新控制点并开始拖动
+            const points = curves[channel];
+            dragIndex = points.findIndex(point => point[0] > position[0]);
+            if (dragIndex <= 0 || points.some(point => point[0] === position[0])) {
+                dragIndex = -1;
+                return;
+            }
+            points.splice(dragIndex, 0, position);
+            draw();
+            commit();
+        }
+    });
+
+    window.addEventListener('mousemove', (e) => {
+        if (dragIndex < 0) return;
+        const points = curves[channel];
+        const [x, y] = toCurvePoint(e);
+        // 控制点不能越过相邻的点
+        const minX = dragIndex > 0 ? points[dragIndex - 1][0] + 1 : 0;
+        const maxX = dragIndex < points.length - 1 ? points[dragIndex + 1][0] - 1 : 255;
+        points[dragIndex] = [Math.min(maxX, Math.max(minX, x)), y];
+        draw();
+        commit();
+    });
+
+    window.addEventListener('mouseup', () => {
+        dragIndex = -1;
+    });
+
+    // 双击删除控制点，两端的点保留
+    curveCanvas.addEventListener('dblclick', (e) => {
+        const points = curves[channel];
+        const index = findPoint(toCurvePoint(e));
+        if (index > 0 && index < points.length - 1) {
+            points.splice(index, 1);
+            draw();
+            commit();
+        }
+    });
+
+    channelSelect.addEventListener('change', () => {
+        channel = channelSelect.value;
+        draw();
+    });
+
+    resetChannelButton.addEventListener('click', () => {
+        curves[channel] = IDENTITY.map(point => [...point]);
+        draw();
+        commit();
+    });
+
+    /**
+     * 重新读取直方图，编辑器不可见时跳过
+     */
+    function refreshHistogram() {
+        if (!curveCanvas.offsetParent) return;
+        histogram = getHistogram();
+        draw();
+    }
+
+    syncControls();
+    return { syncControls, refreshHistogram };
+}
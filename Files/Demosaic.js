@@ -0,0 +1,198 @@
+/**
+ * 去马赛克模块
+ * 管理 LibRaw 的去马赛克算法及其参数，并提供两种算法在同一区域的 100% 裁切对比
+ */
+
+import { debounce, toRgbaImageData } from './Basic.js';
+import { applyRenderPipeline } from './Pipeline.js';
+import { imageToDisplay } from './ColorSpace.js';
+import { displayRectToSensor } from './Orientation.js';
+
+// LibRaw 的 user_qual 取值
+export const DEMOSAIC_ALGORITHMS = [
+    { value: -1, label: '默认 (AHD)' },
+    { value: 0, label: '线性插值 (最快)' },
+    { value: 1, label: 'VNG' },
+    { value: 2, label: 'PPG' },
+    { value: 3, label: 'AHD' },
+    { value: 4, label: 'DCB' },
+    { value: 11, label: 'DHT' },
+    { value: 12, label: 'AAHD' }
+];
+
+const DCB = 4;
+
+// 对比区域的边长（显示像素）
+const COMPARE_SIZE = 256;
+
+/**
+ * 获取算法名称
+ * @param {number} value - user_qual 取值
+ * @returns {string} 算法名称
+ */
+function algorithmLabel(value) {
+    return DEMOSAIC_ALGORITHMS.find(algorithm => algorithm.value === value)?.label ?? String(value);
+}
+
+/**
+ * 用同一区域、两种算法解码 RAW 文件，返回可直接绘制的图像
+ * 在 libraw 的分身（fork）上解码，不影响正在编辑的文件
+ * @param {Object} libraw - LibRaw 实例
+ * @param {File|Uint8Array} file - RAW 文件
+ * @param {Object} metadata - 该文件的 libraw.metadata() 结果
+ * @param {Object} settings - 当前设置对象
+ * @param {{x: number, y: number}} center - 对比区域中心（显示坐标）
+ * @param {number[]} algorithms - 两个 user_qual 取值
+ * @returns {Promise<ImageData[]>} 两种算法的结果
+ */
+export async function renderDemosaicComparison(libraw, file, metadata, settings, center, algorithms) {
+    // 对比区域限制在图像范围内
+    const width = Math.min(COMPARE_SIZE, metadata.width);
+    const height = Math.min(COMPARE_SIZE, metadata.height);
+    const rect = {
+        x: Math.max(0, Math.min(metadata.width - width, Math.round(center.x - width / 2))),
+        y: Math.max(0, Math.min(metadata.height - height, Math.round(center.y - height / 2))),
+        width,
+        height
+    };
+    const crop = displayRectToSensor(rect, metadata);
+    const bytes = file instanceof Uint8Array ? file : new Uint8Array(await file.arrayBuffer());
+
+    const fork = libraw.fork();
+    try {
+        const images = [];
+        await fork.open(bytes, {
+            ...settings,
+            half_size: 0,
+            cropbox: [crop.left, crop.top, crop.width, crop.height],
+            user_qual: algorithms[0]
+        });
+        images.push(await fork.imageData());
+        // 原始数据已经解包，第二种算法只需重新处理
+        images.push(await fork.reprocess({ user_qual: algorithms[1] }));
+
+        return images.map(image => {
+            const working = toRgbaImageData(image);
+            applyRenderPipeline(working.data, working.width, working.height, settings);
+            imageToDisplay(working.data, settings.output_color);
+            return new ImageData(new Uint8ClampedArray(working.data), working.width, working.height);
+        });
+    } finally {
+        fork.destroy().catch(() => {});
+    }
+}
+
+/**
+ * 初始化去马赛克功能
+ * @param {Object} elements - UI元素对象
+ * @param {Object} settings - 设置对象
+ * @param {Function} updateFunction - 参数改变后重新处理图像的函数
+ * @param {Function} getComparisonSource - 返回 {libraw, file, metadata, center}，没有打开文件时返回 null
+ */
+export function initDemosaicModule(elements, settings, updateFunction, getComparisonSource) {
+    const {
+        algorithmSelect, dcbOptions, dcbIterationsSlider, dcbIterationsValue, dcbEnhanceCheckbox,
+        fourColorCheckbox, medPassesSlider, medPassesValue,
+        compareSelectA, compareSelectB, compareButton, compareHint,
+        compareModal, compareClose, compareCanvasA, compareCanvasB, compareLabelA, compareLabelB
+    } = elements;
+
+    DEMOSAIC_ALGORITHMS.forEach(algorithm => {
+        algorithmSelect.add(new Option(algorithm.label, algorithm.value));
+        // 对比时不需要"默认"，它与 AHD 相同
+        if (algorithm.value >= 0) {
+            compareSelectA.add(new Option(algorithm.label, algorithm.value));
+            compareSelectB.add(new Option(algorithm.label, algorithm.value));
+        }
+    });
+    compareSelectA.value = '3';
+    compareSelectB.value = String(DCB);
+
+    // 让控件与设置对象保持一致（重置、应用滤镜后调用）
+    function syncControls() {
+        algorithmSelect.value = String(settings.user_qual ?? -1);
+        dcbOptions.hidden = settings.user_qual !== DCB;
+        dcbIterationsSlider.value = Math.max(0, settings.dcb_iterations ?? 0);
+        dcbIterationsValue.textContent = dcbIterationsSlider.value;
+        dcbEnhanceCheckbox.checked = !!settings.dcb_enhance_fl;
+        fourColorCheckbox.checked = !!settings.four_color_rgb;
+        medPassesSlider.value = settings.med_passes ?? 0;
+        medPassesValue.textContent = medPassesSlider.value;
+    }
+
+    // 去马赛克在 LibRaw 中进行，参数改变后需要重新处理，连续拖动只处理最后一次
+    const debouncedUpdate = debounce(updateFunction, 300);
+
+    algorithmSelect.addEventListener('change', () => {
+        settings.user_qual = parseInt(algorithmSelect.value);
+        syncControls();
+        debouncedUpdate();
+    });
+    dcbIterationsSlider.addEventListener('input', () => {
+        settings.dcb_iterations = parseInt(dcbIterationsSlider.value);
+        dcbIterationsValue.textContent = dcbIterationsSlider.value;
+        debouncedUpdate();
+    });
+    dcbEnhanceCheckbox.addEventListener('change', () => {
+        settings.dcb_enhance_fl = dcbEnhanceCheckbox.checked ? 1 : 0;
+        debouncedUpdate();
+    });
+    fourColorCheckbox.addEventListener('change', () => {
+        settings.four_color_rgb = fourColorCheckbox.checked ? 1 : 0;
+        debouncedUpdate();
+    });
+    medPassesSlider.addEventListener('input', () => {
+        settings.med_passes = parseInt(medPassesSlider.value);
+        medPassesValue.textContent = medPassesSlider.value;
+        debouncedUpdate();
+    });
+
+    // 100% 裁切对比
+    function closeComparison() {
+        compareModal.hidden = true;
+    }
+    compareClose.addEventListener('click', closeComparison);
+    compareModal.addEventListener('click', (e) => {
+        if (e.target === compareModal) {
+            closeComparison();
+        }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !compareModal.hidden) {
+            closeComparison();
+        }
+    });
+
+    compareButton.addEventListener('click', async () => {
+        const source = getComparisonSource();
+        if (!source) {
+            compareHint.textContent = '请先打开 RAW 文件';
+            return;
+        }
+        const algorithms = [parseInt(compareSelectA.value), parseInt(compareSelectB.value)];
+
+        compareButton.disabled = true;
+        compareHint.textContent = '正在渲染对比区域...';
+        try {
+            const images = await renderDemosaicComparison(
+                source.libraw, source.file, source.metadata, settings, source.center, algorithms
+            );
+            [[compareCanvasA, compareLabelA], [compareCanvasB, compareLabelB]].forEach(([canvas, label], i) => {
+                canvas.width = images[i].width;
+                canvas.height = images[i].height;
+                canvas.getContext('2d', { colorSpace: 'srgb' }).putImageData(images[i], 0, 0);
+                label.textContent = algorithmLabel(algorithms[i]);
+            });
+            compareHint.textContent = '';
+            compareModal.hidden = false;
+        } catch (error) {
+            console.error('渲染去马赛克对比失败:', error);
+            compareHint.textContent = `渲染对比失败: ${error.message}`;
+        } finally {
+            compareButton.disabled = false;
+        }
+    });
+
+    syncControls();
+    return { syncControls };
+}
@@ -3,9 +3,11 @@
  * 包含锐化、降噪和纹理处理功能
  */
 
+import { linearToSrgb, imageToLinear } from './ColorSpace.js';
+
 /**
  * 应用锐化（简化版的非锐化蒙版）
- * @param {Uint8ClampedArray} rgbaData - RGBA图像数据
+ * @param {Float32Array|Uint8ClampedArray} rgbaData - RGBA图像数据（0-255）
  * @param {number} width - 图像宽度
  * @param {number} height - 图像高度
  * @param {number} sharpness - 锐化强度 (0-100)
@@ -15,7 +17,7 @@ export function applyUnsharpMask(rgbaData, width, height, sharpness, texture) {
     if (sharpness === 0 && texture === 0) return;
     
     // 创建临时数组以存储处理前的像素值
-    const tempData = new Uint8ClampedArray(rgbaData);
+    const tempData = rgbaData.slice();
     
     const strength = (sharpness + texture) / 100;
     
@@ -23,7 +25,7 @@ export function applyUnsharpMask(rgbaData, width, height, sharpness, texture) {
     // 使用try-catch以防window.isSliderDragging不存在
     let isDragging = false;
     try {
-        if (typeof window.isSliderDragging === 'function') {
+        if (typeof window !== 'undefined' && typeof window.isSliderDragging === 'function') {
             isDragging = window.isSliderDragging();
         }
     } catch (e) {
@@ -86,7 +88,7 @@ export function applyUnsharpMask(rgbaData, width, height, sharpness, texture) {
 
 /**
  * 实现锐化函数，使用现有的applyUnsharpMask函数
- * @param {Uint8ClampedArray} data - RGBA图像数据
+ * @param {Float32Array|Uint8ClampedArray} data - RGBA图像数据（0-255）
  * @param {number} width - 图像宽度
  * @param {number} height - 图像高度
  * @param {number} sharpness - 锐化强度
@@ -101,8 +103,8 @@ export function applySharpness(data, width, height, sharpness) {
 
 /**
  * 应用均值滤波降噪算法
- * @param {Uint8ClampedArray} data - RGBA图像数据
- * @param {Uint8ClampedArray} tempData - 临时数组存储处理前的像素值
+ * @param {Float32Array|Uint8ClampedArray} data - RGBA图像数据（0-255）
+ * @param {Float32Array|Uint8ClampedArray} tempData - 临时数组存储处理前的像素值
  * @param {number} width - 图像宽度
  * @param {number} height - 图像高度
  * @param {number} strength - 降噪强度
@@ -154,8 +156,8 @@ function applyMeanFilter(data, tempData, width, height, strength, detailPreserva
 
 /**
  * 应用中值滤波降噪算法（对椒盐噪声效果较好）
- * @param {Uint8ClampedArray} data - RGBA图像数据
- * @param {Uint8ClampedArray} tempData - 临时数组存储处理前的像素值
+ * @param {Float32Array|Uint8ClampedArray} data - RGBA图像数据（0-255）
+ * @param {Float32Array|Uint8ClampedArray} tempData - 临时数组存储处理前的像素值
  * @param {number} width - 图像宽度
  * @param {number} height - 图像高度
  * @param {number} strength - 降噪强度
@@ -207,8 +209,8 @@ function applyMedianFilter(data, tempData, width, height, strength) {
 
 /**
  * 应用高斯滤波降噪算法（更平滑的降噪效果）
- * @param {Uint8ClampedArray} data - RGBA图像数据
- * @param {Uint8ClampedArray} tempData - 临时数组存储处理前的像素值
+ * @param {Float32Array|Uint8ClampedArray} data - RGBA图像数据（0-255）
+ * @param {Float32Array|Uint8ClampedArray} tempData - 临时数组存储处理前的像素值
  * @param {number} width - 图像宽度
  * @param {number} height - 图像高度
  * @param {number} strength - 降噪强度
@@ -260,7 +262,8 @@ function applyGaussianFilter(data, tempData, width, height, strength) {
 
 /**
  * 增强版降噪功能
- * @param {Uint8ClampedArray} data - RGBA图像数据
+ * 渲染流水线在线性光上调用（见 Pipeline.js），模糊按光量平均
+ * @param {Float32Array|Uint8ClampedArray} data - RGBA图像数据（0-255）
  * @param {number} width - 图像宽度
  * @param {number} height - 图像高度
  * @param {number} strength - 降噪强度 (0-100)
@@ -271,7 +274,7 @@ export function applyNoiseReduction(data, width, height, strength, type = 'mean'
     if (strength <= 0) return;
     
     // 创建临时数组以存储处理前的像素值
-    const tempData = new Uint8ClampedArray(data);
+    const tempData = data.slice();
     
     // 根据选择的降噪类型应用不同的算法
     switch (type) {
@@ -334,7 +337,8 @@ function isSkinColor(r, g, b) {
 
 /**
  * 应用面部美白效果
- * @param {Uint8ClampedArray} data - RGBA图像数据
+ * 肤色检测的阈值按 sRGB 值设定；蒙版平滑、提亮和去饱和都在线性光上计算，蒙版边缘按光量过渡
+ * @param {Float32Array|Uint8ClampedArray} data - RGBA图像数据（0-255）
  * @param {number} width - 图像宽度
  * @param {number} height - 图像高度
  * @param {number} strength - 美白强度 (0-100)
@@ -345,8 +349,13 @@ export function applyFaceBrightening(data, width, height, strength, smoothness =
     
     console.log(`应用面部美白: 强度=${strength}, 平滑度=${smoothness}, 图像尺寸=${width}x${height}`);
     
-    // 创建临时数组存储原始数据
-    const tempData = new Uint8ClampedArray(data);
+    // 线性光副本：蒙版平滑按它的亮度加权，美白也在它上面计算
+    const linear = Float32Array.from(data);
+    imageToLinear(linear);
+    const luminance = new Float32Array(width * height);
+    for (let i = 0; i < luminance.length; i++) {
+        luminance[i] = linear[i * 4] * 0.2126 + linear[i * 4 + 1] * 0.7152 + linear[i * 4 + 2] * 0.0722;
+    }
     
     // 创建肤色蒙版
     const skinMask = new Float32Array(width * height);
@@ -356,9 +365,9 @@ export function applyFaceBrightening(data, width, height, strength, smoothness =
     for (let y = 0; y < height; y++) {
         for (let x = 0; x < width; x++) {
             const idx = (y * width + x) * 4;
-            const r = tempData[idx];
-            const g = tempData[idx + 1];
-            const b = tempData[idx + 2];
+            const r = data[idx];
+            const g = data[idx + 1];
+            const b = data[idx + 2];
             
             const skinScore = isSkinColor(r, g, b);
             skinMask[y * width + x] = skinScore;
@@ -368,7 +377,7 @@ export function applyFaceBrightening(data, width, height, strength, smoothness =
     
     console.log(`检测到肤色像素: ${skinPixelCount}/${width * height} (${(skinPixelCount / (width * height) * 100).toFixed(1)}%)`);
     
-    // 第二遍：对蒙版进行平滑处理
+    // 第二遍：对蒙版进行平滑处理，按线性光亮度加权，亮处的肤色对过渡的影响更大
     if (smoothness > 0) {
         const smoothRadius = Math.floor(smoothness / 20); // 平滑半径
         const smoothedMask = new Float32Array(skinMask);
@@ -376,18 +385,20 @@ export function applyFaceBrightening(data, width, height, strength, smoothness =
         for (let y = smoothRadius; y < height - smoothRadius; y++) {
             for (let x = smoothRadius; x < width - smoothRadius; x++) {
                 let sum = 0;
-                let count = 0;
+                let weight = 0;
                 
                 for (let ky = -smoothRadius; ky <= smoothRadius; ky++) {
                     for (let kx = -smoothRadius; kx <= smoothRadius; kx++) {
                         const ny = y + ky;
                         const nx = x + kx;
-                        sum += skinMask[ny * width + nx];
-                        count++;
+                        // 加一个很小的权重，全黑区域退化为普通均值
+                        const w = luminance[ny * width + nx] + 1e-3;
+                        sum += skinMask[ny * width + nx] * w;
+                        weight += w;
                     }
                 }
                 
-                smoothedMask[y * width + x] = sum / count;
+                smoothedMask[y * width + x] = sum / weight;
             }
         }
         
@@ -406,9 +417,9 @@ export function applyFaceBrightening(data, width, height, strength, smoothness =
             const maskValue = skinMask[y * width + x];
             
             if (maskValue > 0) {
-                const r = tempData[idx];
-                const g = tempData[idx + 1];
-                const b = tempData[idx + 2];
+                const r = linear[idx];
+                const g = linear[idx + 1];
+                const b = linear[idx + 2];
                 
                 // 根据蒙版值调整美白强度
                 const effectiveStrength = maskValue * whiteningFactor;
@@ -437,10 +448,10 @@ export function applyFaceBrightening(data, width, height, strength, smoothness =
                 newG = newG * (1 - saturationReduction) + gray * saturationReduction;
                 newB = newB * (1 - saturationReduction) + gray * saturationReduction;
                 
-                // 最终应用
-                data[idx] = Math.min(255, Math.max(0, newR));
-                data[idx + 1] = Math.min(255, Math.max(0, newG));
-                data[idx + 2] = Math.min(255, Math.max(0, newB));
+                // 最终应用，转换回 sRGB
+                data[idx] = linearToSrgb(newR);
+                data[idx + 1] = linearToSrgb(newG);
+                data[idx + 2] = linearToSrgb(newB);
             }
         }
     }
@@ -3,8 +3,13 @@
  * 负责滤镜预设的管理、应用和保存功能
  */
 
+import { tintsToUserMul } from './color.js';
+import { cloneCurves } from './Curves.js';
+import { cloneHsl } from './HSLMixer.js';
+import { cloneGrading } from './ColorGrading.js';
+
 // 默认滤镜预设
-const defaultFilterPresets = {
+export const defaultFilterPresets = {
     '万能公式': {
         bright: 1.1,
         exp_shift: 0.2,
@@ -59,18 +64,22 @@ const defaultFilterPresets = {
         highlights: -12,    // 压高光，避免天空过曝
         shadows: 6,         // 提升阴影细节
         whites: 95,         // 白场略降，避免刺眼
-        blue_tint: 10,      // 阴影偏蓝
-        green_tint: 5,      // 略加绿形成青色调
-        red_tint: -6        // 抑制红，突出青
+        grading: {
+            shadows: { hue: 200, saturation: 35, luminance: 0 },   // 阴影偏青蓝
+            midtones: { hue: 190, saturation: 10, luminance: 0 },  // 中间调略带青色
+            highlights: { hue: 35, saturation: 18, luminance: 0 }, // 高光偏暖，与阴影形成冷暖对比
+            blending: 60
+        }
     },
     '人像': {
         bright: 1.15,       // 提亮整体，让人物更明亮
         exp_shift: 0.3,     // 增加曝光，突出面部
-        user_sat: 120,      // 适度增加饱和度，让肤色更自然
+        user_sat: 105,      // 饱和度只略增，整体加饱和会让肤色发橙
+        vibrance: 25,       // 用自然饱和度提升环境色彩，肤色受保护
         contrast: 8,        // 轻微增强对比度
         highlights: -8,     // 压高光，避免过曝
         shadows: 12,        // 提亮阴影，减少面部阴影
-        whites: 105,        // 白场略提，增加通透感
+        whites: 100,        // 白场不压（100 为上限），保持通透感
         red_tint: -3,       // 减少红色，去黄调
         green_tint: 2,      // 轻微增加绿色
         blue_tint: 8,       // 增加蓝色，让肤色更白皙
@@ -81,6 +90,31 @@ const defaultFilterPresets = {
     }
 };
 
+// 预设中与 settings 键名不同的参数
+const presetSettingKeys = {
+    red_tint: 'redTint',
+    green_tint: 'greenTint',
+    blue_tint: 'blueTint'
+};
+
+/**
+ * 将滤镜预设转换为 settings 对象中的键值（不依赖界面，命令行工具也使用）
+ * 预设中没有的参数不出现在结果中；包含色调参数时同时计算 user_mul
+ * @param {Object} preset - 滤镜预设，键名见 defaultFilterPresets
+ * @returns {Object} 可以合并到 settings 的键值
+ */
+export function presetToSettings(preset) {
+    const values = {};
+    for (const key in preset) {
+        values[presetSettingKeys[key] || key] = preset[key];
+    }
+    
+    if ('redTint' in values || 'greenTint' in values || 'blueTint' in values) {
+        values.user_mul = tintsToUserMul(values.redTint || 0, values.greenTint || 0, values.blueTint || 0);
+    }
+    return values;
+}
+
 /**
  * 滤镜管理器类
  */
@@ -160,6 +194,11 @@ export class FilterManager {
                     elements.saturationValue.textContent = preset[key];
                     settings[key] = preset[key];
                     break;
+                case 'vibrance':
+                    elements.vibranceSlider.value = preset[key];
+                    elements.vibranceValue.textContent = preset[key];
+                    settings.vibrance = preset[key];
+                    break;
                 case 'contrast':
                     elements.contrastSlider.value = preset[key];
                     elements.contrastValue.textContent = preset[key];
@@ -195,6 +234,11 @@ export class FilterManager {
                     elements.whitesValue.textContent = preset[key];
                     settings.whites = preset[key];
                     break;
+                case 'toneMaskSmoothing':
+                    elements.toneMaskSlider.value = preset[key];
+                    elements.toneMaskValue.textContent = preset[key];
+                    settings.toneMaskSmoothing = preset[key];
+                    break;
                 case 'sharpness':
                     elements.sharpnessSlider.value = preset[key];
                     elements.sharpnessValue.textContent = preset[key];
@@ -215,6 +259,26 @@ export class FilterManager {
                     elements.faceSmoothnessValue.textContent = preset[key];
                     settings.faceSmoothness = preset[key];
                     break;
+                case 'curves':
+                    // 曲线是对象，复制一份，编辑时不改动预设本身
+                    settings.curves = cloneCurves(preset[key]);
+                    elements.curvesEditor.syncControls();
+                    break;
+                case 'hsl':
+                    settings.hsl = cloneHsl(preset[key]);
+                    elements.hslMixer.syncControls();
+                    break;
+                case 'grading':
+                    settings.grading = cloneGrading(preset[key]);
+                    elements.gradingWheels.syncControls();
+                    break;
+                case 'lut':
+                case 'lutOpacity':
+                case 'lutInterpolation':
+                    // 预设只记录 LUT 名称，LUT 本身由 LUT.js 从浏览器存储中加载
+                    settings[key] = preset[key];
+                    elements.lutControls.syncControls();
+                    break;
             }
         }
         
@@ -250,6 +314,7 @@ export class FilterManager {
             bright: parseFloat(elements.brightnessSlider.value),
             exp_shift: parseFloat(elements.exposureSlider.value),
             user_sat: parseInt(elements.saturationSlider.value),
+            vibrance: parseInt(elements.vibranceSlider.value),
             contrast: parseInt(elements.contrastSlider.value),
             highlights: parseInt(elements.highlightsSlider.value),
             shadows: parseInt(elements.shadowsSlider.value),
@@ -257,11 +322,29 @@ export class FilterManager {
             green_tint: parseInt(elements.greenTintSlider.value),
             blue_tint: parseInt(elements.blueTintSlider.value),
             whites: parseInt(elements.whitesSlider.value),
+            toneMaskSmoothing: parseInt(elements.toneMaskSlider.value),
             sharpness: parseInt(elements.sharpnessSlider.value),
             fbdd_noiserd: parseInt(elements.noiseReductionSlider.value),
             faceBrightening: parseInt(elements.faceBrighteningSlider.value),
             faceSmoothness: parseInt(elements.faceSmoothnessSlider.value)
         };
+        const curves = cloneCurves(settings.curves);
+        if (curves) {
+            currentConfig.curves = curves;
+        }
+        const hsl = cloneHsl(settings.hsl);
+        if (hsl) {
+            currentConfig.hsl = hsl;
+        }
+        const grading = cloneGrading(settings.grading);
+        if (grading) {
+            currentConfig.grading = grading;
+        }
+        if (settings.lut) {
+            currentConfig.lut = settings.lut;
+            currentConfig.lutOpacity = settings.lutOpacity ?? 100;
+            currentConfig.lutInterpolation = settings.lutInterpolation || 'tetrahedral';
+        }
         
         // 保存预设
         this.filterPresets[presetName] = currentConfig;
@@ -0,0 +1,242 @@
+/**
+ * HSL 混色器模块
+ * 按八个色相区间分别调整色相、饱和度和明亮度，相邻区间之间平滑过渡；
+ * 只改变渲染结果，不修改原始图像数据
+ */
+
+// 色相区间及其中心色相（度）
+export const HSL_BANDS = [
+    { key: 'red', label: '红色', hue: 0 },
+    { key: 'orange', label: '橙色', hue: 30 },
+    { key: 'yellow', label: '黄色', hue: 60 },
+    { key: 'green', label: '绿色', hue: 120 },
+    { key: 'aqua', label: '浅绿色', hue: 180 },
+    { key: 'blue', label: '蓝色', hue: 240 },
+    { key: 'purple', label: '紫色', hue: 270 },
+    { key: 'magenta', label: '洋红色', hue: 300 }
+];
+
+export const HSL_ADJUSTMENTS = [
+    { key: 'hue', label: '色相' },
+    { key: 'saturation', label: '饱和度' },
+    { key: 'luminance', label: '明亮度' }
+];
+
+// 色相滑块拉满时的偏移（度）
+const MAX_HUE_SHIFT = 30;
+// 明亮度滑块拉满时向黑或白移动的比例
+const MAX_LUMINANCE_SHIFT = 0.5;
+// 查找表精度：每度两项
+const TABLE_STEPS = 720;
+
+/**
+ * 计算某色相在各区间的权重：只落在相邻两个区间中心之间，按余弦平滑过渡，权重之和为 1
+ * @param {number} hue - 色相（度，0-360）
+ * @returns {Array<[number, number]>} [区间下标, 权重]
+ */
+function bandWeights(hue) {
+    const count = HSL_BANDS.length;
+    for (let i = 0; i < count; i++) {
+        const from = HSL_BANDS[i].hue;
+        const to = i === count - 1 ? HSL_BANDS[0].hue + 360 : HSL_BANDS[i + 1].hue;
+        const h = hue < from ? hue + 360 : hue;
+        if (h >= from && h < to) {
+            const t = (h - from) / (to - from);
+            const weight = (1 + Math.cos(Math.PI * t)) / 2;
+            return [[i, weight], [(i + 1) % count, 1 - weight]];
+        }
+    }
+    return [[0, 1]];
+}
+
+/**
+ * 判断 HSL 设置是否有任何调整
+ * @param {Object} hsl - settings.hsl
+ * @returns {boolean} 是否需要处理
+ */
+function hasAdjustments(hsl) {
+    return !!hsl && Object.values(hsl).some(band => band && Object.values(band).some(value => value));
+}
+
+/**
+ * 把各区间的调整展开为按色相索引的查找表
+ * @param {Object} hsl - settings.hsl
+ * @returns {{hueShift: Float32Array, saturation: Float32Array, luminance: Float32Array}} 色相偏移（度）、饱和度系数、明亮度偏移（-1 到 1）
+ */
+function buildHslTable(hsl) {
+    const hueShift = new Float32Array(TABLE_STEPS);
+    const saturation = new Float32Array(TABLE_STEPS);
+    const luminance = new Float32Array(TABLE_STEPS);
+    for (let i = 0; i < TABLE_STEPS; i++) {
+        let shift = 0;
+        let sat = 0;
+        let lum = 0;
+        for (const [index, weight] of bandWeights(i * 360 / TABLE_STEPS)) {
+            const band = hsl[HSL_BANDS[index].key];
+            if (!band) continue;
+            shift += weight * (band.hue || 0) / 100 * MAX_HUE_SHIFT;
+            sat += weight * (band.saturation || 0) / 100;
+            lum += weight * (band.luminance || 0) / 100;
+        }
+        hueShift[i] = shift;
+        saturation[i] = 1 + sat;
+        luminance[i] = lum;
+    }
+    return { hueShift, saturation, luminance };
+}
+
+function hueToRgb(p, q, t) {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+}
+
+/**
+ * 在 RGBA 工作图像上应用 HSL 混色器
+ * @param {Float32Array|Uint8ClampedArray} data - RGBA图像数据（0-255），原地修改
+ * @param {number} width - 图像宽度
+ * @param {number} height - 图像高度
+ * @param {Object} hsl - settings.hsl，{red: {hue, saturation, luminance}, ...}，各值 -100 到 100
+ */
+export function applyHslMixer(data, width, height, hsl) {
+    if (!hasAdjustments(hsl)) {
+        return;
+    }
+    const table = buildHslTable(hsl);
+    const length = width * height * 4;
+
+    for (let i = 0; i < length; i += 4) {
+        const r = data[i] / 255;
+        const g = data[i + 1] / 255;
+        const b = data[i + 2] / 255;
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const chroma = max - min;
+        // 灰色没有色相，不受影响
+        if (chroma <= 1e-6) continue;
+
+        // RGB -> HSL
+        let l = (max + min) / 2;
+        let s = chroma / (1 - Math.abs(2 * l - 1));
+        let h;
+        if (max === r) {
+            h = ((g - b) / chroma) % 6;
+        } else if (max === g) {
+            h = (b - r) / chroma + 2;
+        } else {
+            h = (r - g) / chroma + 4;
+        }
+        h = h * 60;
+        if (h < 0) h += 360;
+
+        const index = Math.floor(h * TABLE_STEPS / 360) % TABLE_STEPS;
+        h = (h + table.hueShift[index] + 360) % 360;
+        s = Math.min(1, s * table.saturation[index]);
+        // 明亮度的作用随饱和度减弱，接近灰色的像素几乎不变
+        const lum = table.luminance[index] * MAX_LUMINANCE_SHIFT * Math.min(1, s);
+        l = lum > 0 ? l + (1 - l) * lum : l + l * lum;
+
+        // HSL -> RGB
+        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+        const p = 2 * l - q;
+        const hk = h / 360;
+        data[i] = hueToRgb(p, q, hk + 1 / 3) * 255;
+        data[i + 1] = hueToRgb(p, q, hk) * 255;
+        data[i + 2] = hueToRgb(p, q, hk - 1 / 3) * 255;
+    }
+}
+
+/**
+ * 深拷贝 HSL 设置，只保留不为 0 的调整
+ * @param {Object} hsl - settings.hsl 或预设中的 HSL 设置
+ * @returns {Object|null} 拷贝，没有调整时为 null
+ */
+export function cloneHsl(hsl) {
+    if (!hasAdjustments(hsl)) return null;
+    const copy = {};
+    HSL_BANDS.forEach(({ key }) => {
+        const band = hsl[key];
+        if (!band) return;
+        HSL_ADJUSTMENTS.forEach(({ key: adjustment }) => {
+            if (band[adjustment]) {
+                copy[key] = { ...copy[key], [adjustment]: band[adjustment] };
+            }
+        });
+    });
+    return copy;
+}
+
+/**
+ * 初始化 HSL 混色器
+ * @param {Object} elements - UI元素对象
+ * @param {Object} settings - 设置对象，调整写入 settings.hsl
+ * @param {Function} updateFunction - 调整后重新渲染图像的函数
+ * @returns {Object} {syncControls}
+ */
+export function initHslMixerModule(elements, settings, updateFunction) {
+    const { adjustmentSelect, slidersContainer, resetButton } = elements;
+    const sliders = {};
+
+    HSL_ADJUSTMENTS.forEach(adjustment => adjustmentSelect.add(new Option(adjustment.label, adjustment.key)));
+
+    // 每个区间一个滑块，标签前显示区间的代表色
+    HSL_BANDS.forEach(band => {
+        const group = document.createElement('div');
+        group.className = 'slider-group';
+        const label = document.createElement('label');
+        label.htmlFor = `hsl-${band.key}`;
+        const swatch = document.createElement('span');
+        swatch.className = 'hsl-swatch';
+        swatch.style.background = `hsl(${band.hue}, 80%, 50%)`;
+        label.append(swatch, band.label);
+        const wrapper = document.createElement('div');
+        wrapper.className = 'slider-wrapper';
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.id = `hsl-${band.key}`;
+        slider.min = -100;
+        slider.max = 100;
+        slider.step = 1;
+        slider.value = 0;
+        const value = document.createElement('span');
+        value.className = 'value-display';
+        value.textContent = '0';
+        wrapper.append(slider, value);
+        group.append(label, wrapper);
+        slidersContainer.appendChild(group);
+        sliders[band.key] = { slider, value };
+
+        slider.addEventListener('input', () => {
+            const amount = parseInt(slider.value);
+            value.textContent = amount;
+            const hsl = settings.hsl ? { ...settings.hsl } : {};
+            hsl[band.key] = { ...hsl[band.key], [adjustmentSelect.value]: amount };
+            settings.hsl = cloneHsl(hsl);
+            updateFunction();
+        });
+    });
+
+    // 让滑块显示当前选择的调整（重置、应用滤镜、切换调整后调用）
+    function syncControls() {
+        const adjustment = adjustmentSelect.value;
+        HSL_BANDS.forEach(({ key }) => {
+            const amount = settings.hsl?.[key]?.[adjustment] || 0;
+            sliders[key].slider.value = amount;
+            sliders[key].value.textContent = amount;
+        });
+    }
+
+    adjustmentSelect.addEventListener('change', syncControls);
+
+    resetButton.addEventListener('click', () => {
+        settings.hsl = null;
+        syncControls();
+        updateFunction();
+    });
+
+    syncControls();
+    return { syncControls };
+}
@@ -0,0 +1,181 @@
+/**
+ * 高光恢复模块
+ * 选择 LibRaw 的高光重建模式，并在图像上标出原始数据中达到白电平（maximum）的区域
+ */
+
+import { sensorSize } from './Orientation.js';
+
+// LibRaw 的 highlight 取值
+export const HIGHLIGHT_MODES = [
+    { value: 0, label: '裁切 (默认)' },
+    { value: 1, label: '不裁切 (保留偏色)' },
+    { value: 2, label: '混合' },
+    { value: 3, label: '重建 3 (偏向白色)' },
+    { value: 4, label: '重建 4' },
+    { value: 5, label: '重建 5 (平衡)' },
+    { value: 6, label: '重建 6' },
+    { value: 7, label: '重建 7' },
+    { value: 8, label: '重建 8' },
+    { value: 9, label: '重建 9 (偏向颜色)' }
+];
+
+// 每个通道在裁切蒙版中的位
+const CHANNEL_BITS = { R: 1, G: 2, B: 4 };
+
+/**
+ * 计算裁切蒙版：显示坐标下每个像素哪些原始通道达到了白电平
+ * @param {Object} raw - libraw.rawData() 的结果
+ * @param {Object} metadata - libraw.metadata() 的结果
+ * @param {number} width - 蒙版宽度（显示图像宽度，半尺寸解码时为一半）
+ * @param {number} height - 蒙版高度
+ * @param {number} adjustMaximumThr - settings.adjust_maximum_thr，与 LibRaw 一样据此修正白电平
+ * @returns {{mask: Uint8Array, width: number, height: number, clipped: number}} 蒙版（每像素 R=1、G=2、B=4 位）和裁切像素数
+ */
+export function computeClippingMask(raw, metadata, width, height, adjustMaximumThr = 0.75) {
+    const { data, channels, cfa, cfa_width: cfaWidth, cfa_height: cfaHeight, cdesc } = raw;
+    const top = raw.top_margin;
+    const left = raw.left_margin;
+    const { width: sensorWidth, height: sensorHeight } = sensorSize(metadata);
+    const visibleWidth = Math.min(raw.visible_width, sensorWidth);
+    const visibleHeight = Math.min(raw.visible_height, sensorHeight);
+
+    // 与 LibRaw 的 adjust_maximum 一致：数据最大值接近标称白电平时以数据最大值为准
+    let dataMaximum = 0;
+    for (let i = 0; i < data.length; i++) {
+        if (data[i] > dataMaximum) dataMaximum = data[i];
+    }
+    let clipLevel = raw.maximum;
+    if (adjustMaximumThr > 0 && dataMaximum < raw.maximum && dataMaximum > raw.maximum * adjustMaximumThr) {
+        clipLevel = dataMaximum;
+    }
+
+    // 颜色索引 -> 通道位，CMY 等其他滤色片按全部通道处理
+    const colorBits = Array.from(cdesc || 'RGBG', letter => CHANNEL_BITS[letter] ?? 7);
+
+    const flip = metadata.flip || 0;
+    const scaleX = (flip & 4 ? height : width) / sensorWidth;
+    const scaleY = (flip & 4 ? width : height) / sensorHeight;
+    const mask = new Uint8Array(width * height);
+    let clipped = 0;
+
+    for (let row = 0; row < visibleHeight; row++) {
+        const rawRow = row + top;
+        const flippedRow = Math.floor((flip & 2 ? sensorHeight - 1 - row : row) * scaleY);
+        for (let col = 0; col < visibleWidth; col++) {
+            const rawCol = col + left;
+            let bits = 0;
+            if (channels === 1) {
+                if (data[rawRow * raw.width + rawCol] >= clipLevel) {
+                    bits = colorBits[cfa[(rawRow % cfaHeight) * cfaWidth + (rawCol % cfaWidth)]];
+                }
+            } else {
+                const offset = (rawRow * raw.width + rawCol) * channels;
+                for (let c = 0; c < channels; c++) {
+                    if (data[offset + c] >= clipLevel) {
+                        bits |= colorBits[c];
+                    }
+                }
+            }
+            if (!bits) continue;
+
+            // 传感器坐标 -> 显示坐标，见 Orientation.js 的 sensorToDisplay
+            const flippedCol = Math.floor((flip & 1 ? sensorWidth - 1 - col : col) * scaleX);
+            const x = flip & 4 ? flippedRow : flippedCol;
+            const y = flip & 4 ? flippedCol : flippedRow;
+            if (x >= width || y >= height) continue;
+            const index = y * width + x;
+            if (!mask[index]) clipped++;
+            mask[index] |= bits;
+        }
+    }
+
+    return { mask, width, height, clipped };
+}
+
+/**
+ * 把裁切蒙版画到叠加画布上：按裁切的通道着色，三个通道都裁切时为白色
+ * @param {HTMLCanvasElement} overlayCanvas - 叠加在图像上的画布
+ * @param {{mask: Uint8Array, width: number, height: number}} clipping - computeClippingMask 的结果
+ */
+export function drawClippingOverlay(overlayCanvas, clipping) {
+    const { mask, width, height } = clipping;
+    overlayCanvas.width = width;
+    overlayCanvas.height = height;
+    const overlay = new ImageData(width, height);
+    const pixels = overlay.data;
+    for (let i = 0; i < mask.length; i++) {
+        const bits = mask[i];
+        if (!bits) continue;
+        pixels[i * 4] = bits & 1 ? 255 : 0;
+        pixels[i * 4 + 1] = bits & 2 ? 255 : 0;
+        pixels[i * 4 + 2] = bits & 4 ? 255 : 0;
+        pixels[i * 4 + 3] = 255;
+    }
+    overlayCanvas.getContext('2d').putImageData(overlay, 0, 0);
+}
+
+/**
+ * 初始化高光恢复功能
+ * @param {Object} elements - UI元素对象
+ * @param {Object} settings - 设置对象
+ * @param {Function} updateFunction - 模式改变后重新处理图像的函数
+ * @param {Function} getSource - 返回 {libraw, metadata, width, height}（显示图像尺寸），没有打开文件时返回 null
+ * @returns {Object} {syncControls, invalidate, refreshOverlay}
+ */
+export function initHighlightModule(elements, settings, updateFunction, getSource) {
+    const { highlightSelect, showClippingCheckbox, overlayCanvas, clippingInfo } = elements;
+    // 裁切蒙版只取决于原始数据，同一个文件只计算一次
+    let cachedClipping = null;
+
+    HIGHLIGHT_MODES.forEach(mode => highlightSelect.add(new Option(mode.label, mode.value)));
+
+    function syncControls() {
+        highlightSelect.value = String(settings.highlight ?? 0);
+    }
+
+    // 换文件后调用，旧蒙版作废
+    function invalidate() {
+        cachedClipping = null;
+        overlayCanvas.hidden = true;
+        clippingInfo.textContent = '';
+    }
+
+    async function refreshOverlay() {
+        const source = showClippingCheckbox.checked ? getSource() : null;
+        if (!source) {
+            overlayCanvas.hidden = true;
+            clippingInfo.textContent = '';
+            return;
+        }
+        if (!cachedClipping || cachedClipping.width !== source.width || cachedClipping.height !== source.height) {
+            if (!await source.libraw.supports('rawData')) {
+                overlayCanvas.hidden = true;
+                clippingInfo.textContent = '当前的 libraw.wasm 不能读取原始数据，需要重新编译';
+                return;
+            }
+            clippingInfo.textContent = '正在分析原始数据...';
+            const raw = await source.libraw.rawData();
+            cachedClipping = computeClippingMask(raw, source.metadata, source.width, source.height, settings.adjust_maximum_thr);
+        }
+        // 分析期间可能已经关闭了预览
+        if (!showClippingCheckbox.checked) return;
+        drawClippingOverlay(overlayCanvas, cachedClipping);
+        overlayCanvas.hidden = false;
+        const percent = cachedClipping.clipped / (cachedClipping.width * cachedClipping.height) * 100;
+        clippingInfo.textContent = `过曝像素 ${percent.toFixed(2)}%`;
+    }
+
+    highlightSelect.addEventListener('change', () => {
+        settings.highlight = parseInt(highlightSelect.value);
+        updateFunction();
+    });
+    showClippingCheckbox.addEventListener('change', () => {
+        refreshOverlay().catch(error => {
+            console.error('计算过曝区域失败:', error);
+            clippingInfo.textContent = '计算过曝区域失败';
+        });
+    });
+
+    syncControls();
+    return { syncControls, invalidate, refreshOverlay };
+}
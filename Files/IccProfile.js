@@ -0,0 +1,275 @@
+/**
+ * ICC 配置文件模块
+ * 为内置输出色彩空间生成矩阵/曲线型 ICC 配置文件（v2），并把 ICC 嵌入 PNG 和 JPEG，
+ * 导出的 Adobe RGB、ProPhoto RGB、Display P3 图像在支持色彩管理的软件中才能正确显示
+ */
+
+import { OUTPUT_SPACES, outputToXyzD50 } from './ColorSpace.js';
+
+// ICC 连接空间的 D50 白点
+const PCS_WHITE = [0.9642, 1.0, 0.8249];
+// sRGB 曲线在 ICC v2 中只能写成查找表
+const CURVE_POINTS = 1024;
+// JPEG 的一个 APP2 段最多能放的 ICC 数据：65535 减去长度字段和 "ICC_PROFILE\0" 及序号
+const JPEG_CHUNK_SIZE = 65519;
+
+function ascii(text) {
+    return Uint8Array.from(text, c => c.charCodeAt(0) & 0x7F);
+}
+
+function tagData(type, length) {
+    const bytes = new Uint8Array(length);
+    bytes.set(ascii(type), 0);
+    return { bytes, view: new DataView(bytes.buffer) };
+}
+
+// textDescriptionType：ASCII 描述，Unicode 和 ScriptCode 部分留空
+function descTag(text) {
+    const { bytes, view } = tagData('desc', 12 + text.length + 1 + 4 + 4 + 2 + 1 + 67);
+    view.setUint32(8, text.length + 1);
+    bytes.set(ascii(text), 12);
+    return bytes;
+}
+
+function textTag(text) {
+    const { bytes } = tagData('text', 8 + text.length + 1);
+    bytes.set(ascii(text), 8);
+    return bytes;
+}
+
+function xyzTag([x, y, z]) {
+    const { bytes, view } = tagData('XYZ ', 20);
+    [x, y, z].forEach((value, i) => view.setInt32(8 + i * 4, Math.round(value * 65536)));
+    return bytes;
+}
+
+// 幂函数曲线只需一个 u8Fixed8 的指数；gamma 为 null 时写 sRGB 曲线的查找表
+function curveTag(gamma) {
+    const count = gamma ? 1 : CURVE_POINTS;
+    const { bytes, view } = tagData('curv', 12 + count * 2);
+    view.setUint32(8, count);
+    if (gamma) {
+        view.setUint16(12, Math.round(gamma * 256));
+    } else {
+        for (let i = 0; i < count; i++) {
+            const v = i / (count - 1);
+            const linear = v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+            view.setUint16(12 + i * 2, Math.round(linear * 65535));
+        }
+    }
+    return bytes;
+}
+
+/**
+ * 生成内置输出色彩空间的 ICC 配置文件
+ * @param {number} outputColor - LibRaw 的 output_color
+ * @returns {Uint8Array|null} ICC 文件内容，不支持的色彩空间返回 null
+ */
+export function createIccProfile(outputColor) {
+    const space = OUTPUT_SPACES[outputColor];
+    if (!space) return null;
+    const matrix = outputToXyzD50(outputColor);
+    const curve = curveTag(space.gamma);
+    const tags = [
+        ['desc', descTag(space.name)],
+        ['cprt', textTag('No copyright, use freely')],
+        ['wtpt', xyzTag(PCS_WHITE)],
+        ['rXYZ', xyzTag(matrix.map(row => row[0]))],
+        ['gXYZ', xyzTag(matrix.map(row => row[1]))],
+        ['bXYZ', xyzTag(matrix.map(row => row[2]))],
+        // 三个通道共用同一条曲线
+        ['rTRC', curve],
+        ['gTRC', curve],
+        ['bTRC', curve]
+    ];
+
+    // 标签数据按 4 字节对齐，同一份数据只写一次
+    const offsets = new Map();
+    let size = 128 + 4 + tags.length * 12;
+    tags.forEach(([, data]) => {
+        if (!offsets.has(data)) {
+            offsets.set(data, size);
+            size += Math.ceil(data.length / 4) * 4;
+        }
+    });
+
+    const profile = new Uint8Array(size);
+    const view = new DataView(profile.buffer);
+    view.setUint32(0, size);
+    view.setUint32(8, 0x02100000); // 版本 2.1
+    profile.set(ascii('mntrRGB XYZ '), 12);
+    const now = new Date();
+    [now.getUTCFullYear(), now.getUTCMonth() + 1, now.getUTCDate(), now.getUTCHours(), now.getUTCMinutes(), now.getUTCSeconds()]
+        .forEach((value, i) => view.setUint16(24 + i * 2, value));
+    profile.set(ascii('acsp'), 36);
+    // 渲染意图（偏移 64）为 0，即感知
+    PCS_WHITE.forEach((value, i) => view.setInt32(68 + i * 4, Math.round(value * 65536)));
+
+    view.setUint32(128, tags.length);
+    tags.forEach(([signature, data], i) => {
+        const entry = 132 + i * 12;
+        profile.set(ascii(signature), entry);
+        view.setUint32(entry + 4, offsets.get(data));
+        view.setUint32(entry + 8, data.length);
+    });
+    offsets.forEach((offset, data) => profile.set(data, offset));
+    return profile;
+}
+
+/**
+ * 读取 ICC 配置文件的描述（desc 标签），用作嵌入时的名称
+ * @param {Uint8Array} profile - ICC 文件内容
+ * @returns {string} 描述，读不到时返回 'ICC Profile'
+ */
+export function iccProfileName(profile) {
+    try {
+        const view = new DataView(profile.buffer, profile.byteOffset, profile.byteLength);
+        const count = view.getUint32(128);
+        for (let i = 0; i < count; i++) {
+            const entry = 132 + i * 12;
+            if (String.fromCharCode(...profile.subarray(entry, entry + 4)) !== 'desc') continue;
+            const offset = view.getUint32(entry + 4);
+            // v2 的 textDescriptionType；v4 的 multiLocalizedUnicodeType 不解析
+            if (String.fromCharCode(...profile.subarray(offset, offset + 4)) !== 'desc') break;
+            const length = view.getUint32(offset + 8);
+            const name = String.fromCharCode(...profile.subarray(offset + 12, offset + 12 + length)).replace(/\0.*$/s, '').trim();
+            if (name) return name;
+        }
+    } catch (error) {
+        // 损坏的 ICC 文件只影响名称
+    }
+    return 'ICC Profile';
+}
+
+let crcTable;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(ascii(type), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * 把 ICC 配置文件作为 iCCP 块嵌入 PNG，替换原有的 iCCP、sRGB、gAMA、cHRM 块
+ * @param {Uint8Array} png - PNG 文件内容
+ * @param {Uint8Array} profile - ICC 文件内容
+ * @returns {Promise<Uint8Array>} 新的 PNG 文件内容
+ */
+export async function embedIccInPng(png, profile) {
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    if (png.length < 8 || view.getUint32(0) !== 0x89504E47) {
+        throw new Error('不是 PNG 文件');
+    }
+    // 名称限 79 个 Latin-1 字符
+    const name = ascii(iccProfileName(profile).replace(/[^\x20-\x7E]/g, '').slice(0, 79) || 'ICC Profile');
+    const compressed = await deflate(profile);
+    const iccp = new Uint8Array(name.length + 2 + compressed.length);
+    iccp.set(name, 0);
+    // 名称以 0 结尾，随后的压缩方法 0 为 zlib
+    iccp.set(compressed, name.length + 2);
+
+    const parts = [png.subarray(0, 8)];
+    let offset = 8;
+    while (offset + 12 <= png.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+        const end = offset + 12 + length;
+        if (!['iCCP', 'sRGB', 'gAMA', 'cHRM'].includes(type)) {
+            parts.push(png.subarray(offset, end));
+        }
+        // iCCP 必须在 PLTE 和 IDAT 之前，紧跟 IHDR 即可
+        if (type === 'IHDR') {
+            parts.push(pngChunk('iCCP', iccp));
+        }
+        offset = end;
+    }
+    return concat(parts);
+}
+
+/**
+ * 把 ICC 配置文件作为 APP2 段嵌入 JPEG（放在 JFIF/Exif 段之后），替换原有的 ICC 段
+ * @param {Uint8Array} jpeg - JPEG 文件内容
+ * @param {Uint8Array} profile - ICC 文件内容
+ * @returns {Uint8Array} 新的 JPEG 文件内容
+ */
+export function embedIccInJpeg(jpeg, profile) {
+    if (jpeg[0] !== 0xFF || jpeg[1] !== 0xD8) {
+        throw new Error('不是 JPEG 文件');
+    }
+    const view = new DataView(jpeg.buffer, jpeg.byteOffset, jpeg.byteLength);
+    const signature = 'ICC_PROFILE\0';
+    const chunkCount = Math.ceil(profile.length / JPEG_CHUNK_SIZE);
+    const segments = [];
+    for (let i = 0; i < chunkCount; i++) {
+        const data = profile.subarray(i * JPEG_CHUNK_SIZE, (i + 1) * JPEG_CHUNK_SIZE);
+        const segment = new Uint8Array(4 + signature.length + 2 + data.length);
+        new DataView(segment.buffer).setUint16(0, 0xFFE2);
+        new DataView(segment.buffer).setUint16(2, segment.length - 2);
+        segment.set(ascii(signature), 4);
+        // 序号从 1 开始，随后是段的总数
+        segment[4 + signature.length] = i + 1;
+        segment[5 + signature.length] = chunkCount;
+        segment.set(data, 6 + signature.length);
+        segments.push(segment);
+    }
+
+    const parts = [jpeg.subarray(0, 2)];
+    let offset = 2;
+    let inserted = false;
+    // 只检查图像数据之前的 APPn 段
+    while (offset + 4 <= jpeg.length && jpeg[offset] === 0xFF && jpeg[offset + 1] >= 0xE0 && jpeg[offset + 1] <= 0xEF) {
+        const marker = jpeg[offset + 1];
+        const end = offset + 2 + view.getUint16(offset + 2);
+        if (!inserted && marker !== 0xE0 && marker !== 0xE1) {
+            parts.push(...segments);
+            inserted = true;
+        }
+        const isIcc = marker === 0xE2 && String.fromCharCode(...jpeg.subarray(offset + 4, offset + 4 + signature.length)) === signature;
+        if (!isIcc) {
+            parts.push(jpeg.subarray(offset, end));
+        }
+        offset = end;
+    }
+    if (!inserted) {
+        parts.push(...segments);
+    }
+    parts.push(jpeg.subarray(offset));
+    return concat(parts);
+}
+
+function concat(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
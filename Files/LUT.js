@@ -0,0 +1,453 @@
+/**
+ * 3D LUT 模块
+ * 导入调色软件导出的 .cube、.3dl 文件和 Hald CLUT 图片，保存在 IndexedDB 中，
+ * 在渲染流水线中按三线性或四面体插值应用，可调不透明度；滤镜预设按名称引用 LUT
+ */
+
+import { saveAsset, loadAsset, listAssets } from './AssetStore.js';
+
+const LUT_ASSET = 'lut';
+// 最大支持的网格尺寸，常见的是 17、33、65
+const MAX_LUT_SIZE = 129;
+
+// 已解析的 LUT，按名称索引；渲染流水线是同步的，只能使用已经加载的 LUT
+const loadedLuts = new Map();
+// 每次加载递增，同名 LUT 被替换后渲染缓存能区分新旧内容
+let lutRevision = 0;
+
+/**
+ * 创建 LUT 对象
+ * @param {number} size - 每个轴的网格点数
+ * @param {Float32Array} table - size³ 个 RGB 输出（0-1），红色变化最快
+ * @param {string} title - 标题
+ * @param {number[]} domainMin - 输入范围下限 [R, G, B]
+ * @param {number[]} domainMax - 输入范围上限 [R, G, B]
+ * @returns {Object} LUT 对象
+ */
+function createLut(size, table, title = '', domainMin = [0, 0, 0], domainMax = [1, 1, 1]) {
+    return { size, table, title, domainMin, domainMax };
+}
+
+function checkSize(size, format) {
+    if (!Number.isInteger(size) || size < 2 || size > MAX_LUT_SIZE) {
+        throw new Error(`${format} 的网格尺寸 ${size} 无效（应为 2-${MAX_LUT_SIZE}）`);
+    }
+}
+
+/**
+ * 解析 .cube 文件（Resolve/Adobe 格式）
+ * @param {string} text - 文件内容
+ * @returns {Object} LUT 对象
+ */
+export function parseCubeLut(text) {
+    let size = 0;
+    let title = '';
+    let domainMin = [0, 0, 0];
+    let domainMax = [1, 1, 1];
+    const values = [];
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) continue;
+        const parts = line.split(/\s+/);
+        const keyword = parts[0].toUpperCase();
+        if (keyword === 'TITLE') {
+            title = line.slice(5).trim().replace(/^"|"$/g, '');
+        } else if (keyword === 'LUT_3D_SIZE') {
+            size = parseInt(parts[1]);
+        } else if (keyword === 'LUT_1D_SIZE') {
+            throw new Error('只支持 3D LUT，这是一个 1D LUT');
+        } else if (keyword === 'DOMAIN_MIN' || keyword === 'DOMAIN_MAX') {
+            const domain = parts.slice(1, 4).map(Number);
+            if (domain.length < 3 || !domain.every(Number.isFinite)) {
+                throw new Error(`.cube 数据行格式错误: ${line}`);
+            }
+            if (keyword === 'DOMAIN_MIN') {
+                domainMin = domain;
+            } else {
+                domainMax = domain;
+            }
+        } else if (/^[-+.\d]/.test(keyword)) {
+            if (parts.length < 3) {
+                throw new Error(`.cube 数据行格式错误: ${line}`);
+            }
+            values.push(Number(parts[0]), Number(parts[1]), Number(parts[2]));
+        }
+        // 其他关键字（LUT_3D_INPUT_RANGE 等）忽略
+    }
+
+    checkSize(size, '.cube');
+    if (domainMin.some((min, i) => min >= domainMax[i])) {
+        throw new Error(`.cube 的输入范围无效: DOMAIN_MIN ${domainMin.join(' ')}，DOMAIN_MAX ${domainMax.join(' ')}`);
+    }
+    if (values.length !== size * size * size * 3) {
+        throw new Error(`.cube 数据有 ${values.length / 3} 行，尺寸 ${size} 需要 ${size * size * size} 行`);
+    }
+    if (values.some(value => Number.isNaN(value))) {
+        throw new Error('.cube 数据中有无法解析的数值');
+    }
+    // .cube 中红色变化最快，与内部顺序相同
+    return createLut(size, new Float32Array(values), title, domainMin, domainMax);
+}
+
+/**
+ * 解析 .3dl 文件（Lustre/Nuke 格式）：可选的输入网格行，之后是整数 RGB 输出，蓝色变化最快
+ * @param {string} text - 文件内容
+ * @returns {Object} LUT 对象
+ */
+export function parse3dlLut(text) {
+    let meshSize = 0;
+    let meshMax = 0;
+    const rows = [];
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#') || !/^[-+.\d]/.test(line)) continue;
+        rows.push(line.split(/\s+/).map(Number));
+    }
+
+    // 输入网格行（例如 "0 64 128 ... 1023"）是数据之前的第一行数字。
+    // 网格为 3 个点时它和数据行一样有 3 个数，此时按后面正好有 3³ 行数据来认定
+    const first = rows[0];
+    if (first && (first.length !== 3 || rows.length - 1 === 27)) {
+        meshSize = first.length;
+        meshMax = first[first.length - 1];
+        rows.shift();
+    }
+    const values = [];
+    for (const numbers of rows) {
+        if (numbers.length === 3) {
+            values.push(...numbers);
+        }
+    }
+
+    const count = values.length / 3;
+    const size = meshSize || Math.round(Math.cbrt(count));
+    checkSize(size, '.3dl');
+    if (count !== size * size * size || values.some(value => Number.isNaN(value))) {
+        throw new Error(`.3dl 数据有 ${count} 行，尺寸 ${size} 需要 ${size * size * size} 行`);
+    }
+
+    // 输出位深没有写在文件里，取能容纳网格行末值和最大输出值的最小位深（10、12、14 或 16 位）。
+    // 网格行末值给出下限，偏暗的 12、16 位 LUT 不会被当作 10 位；
+    // Nuke 等写出的文件网格为 10 位而输出为 12 位，所以仍要看最大值
+    let maxValue = meshMax;
+    for (let i = 0; i < values.length; i++) {
+        if (values[i] > maxValue) maxValue = values[i];
+    }
+    const scale = [1023, 4095, 16383, 65535].find(limit => maxValue <= limit) || maxValue;
+
+    // 转换为红色变化最快的顺序
+    const table = new Float32Array(values.length);
+    for (let r = 0, source = 0; r < size; r++) {
+        for (let g = 0; g < size; g++) {
+            for (let b = 0; b < size; b++, source += 3) {
+                const target = ((b * size + g) * size + r) * 3;
+                table[target] = values[source] / scale;
+                table[target + 1] = values[source + 1] / scale;
+                table[target + 2] = values[source + 2] / scale;
+            }
+        }
+    }
+    return createLut(size, table);
+}
+
+/**
+ * 解析 Hald CLUT 图片：边长为 level³ 的正方形，网格尺寸为 level²，像素按红、绿、蓝顺序排列
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image - RGBA 像素
+ * @returns {Object} LUT 对象
+ */
+export function parseHaldClut(image) {
+    const { data, width, height } = image;
+    const level = Math.round(Math.cbrt(width));
+    if (width !== height || level * level * level !== width) {
+        throw new Error(`${width}x${height} 不是 Hald CLUT 图片（边长应为某个整数的立方）`);
+    }
+    const size = level * level;
+    checkSize(size, 'Hald CLUT');
+
+    const count = size * size * size;
+    const table = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        table[i * 3] = data[i * 4] / 255;
+        table[i * 3 + 1] = data[i * 4 + 1] / 255;
+        table[i * 3 + 2] = data[i * 4 + 2] / 255;
+    }
+    return createLut(size, table);
+}
+
+/**
+ * 在浏览器中解码 Hald CLUT 图片
+ * @param {Uint8Array} bytes - PNG 文件内容
+ * @returns {Promise<Object>} LUT 对象
+ */
+async function decodeHaldClut(bytes) {
+    // 不做色彩空间转换和预乘，带 gAMA、iCCP、sRGB 块的 PNG 也按原始像素值采样
+    const bitmap = await createImageBitmap(new Blob([bytes]), { colorSpaceConversion: 'none', premultiplyAlpha: 'none' });
+    try {
+        const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        const context = canvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0);
+        return parseHaldClut(context.getImageData(0, 0, bitmap.width, bitmap.height));
+    } finally {
+        bitmap.close();
+    }
+}
+
+/**
+ * 按扩展名解析文本格式的 LUT 文件（.cube、.3dl）
+ * @param {string} name - 文件名
+ * @param {Uint8Array} bytes - 文件内容
+ * @returns {Object} LUT 对象
+ */
+export function parseLutText(name, bytes) {
+    const text = new TextDecoder().decode(bytes);
+    const extension = name.slice(name.lastIndexOf('.')).toLowerCase();
+    if (extension === '.cube') return parseCubeLut(text);
+    if (extension === '.3dl') return parse3dlLut(text);
+    throw new Error(`不支持的 LUT 格式: ${name}（支持 .cube、.3dl 和 Hald CLUT .png）`);
+}
+
+/**
+ * 解析任意支持格式的 LUT 文件，Hald CLUT 图片需要浏览器解码
+ * @param {string} name - 文件名
+ * @param {Uint8Array} bytes - 文件内容
+ * @returns {Promise<Object>} LUT 对象
+ */
+async function parseLutFile(name, bytes) {
+    return /\.png$/i.test(name) ? decodeHaldClut(bytes) : parseLutText(name, bytes);
+}
+
+/**
+ * 登记已解析的 LUT，供渲染流水线使用（命令行工具从磁盘读取后调用）
+ * @param {string} name - LUT 名称
+ * @param {Object} lut - LUT 对象
+ */
+export function registerLut(name, lut) {
+    loadedLuts.set(name, { ...lut, revision: ++lutRevision });
+}
+
+/**
+ * 取得已经加载的 LUT
+ * @param {string|null} name - LUT 名称
+ * @returns {Object|null} LUT 对象，未加载时为 null
+ */
+export function getLoadedLut(name) {
+    return (name && loadedLuts.get(name)) || null;
+}
+
+/**
+ * 渲染缓存用的键：LUT 加载完成或被替换后都会变化
+ * @param {string|null} name - LUT 名称
+ * @returns {string|null} 键，没有可用的 LUT 时为 null
+ */
+export function lutCacheKey(name) {
+    const lut = getLoadedLut(name);
+    return lut ? `${name}#${lut.revision}` : null;
+}
+
+/**
+ * 从 IndexedDB 加载 LUT（已加载的直接返回）
+ * @param {string} name - LUT 名称
+ * @returns {Promise<Object>} LUT 对象
+ */
+export async function loadLut(name) {
+    const loaded = getLoadedLut(name);
+    if (loaded) return loaded;
+    const bytes = await loadAsset(LUT_ASSET, name);
+    if (!bytes) {
+        throw new Error(`找不到 LUT "${name}"，请先导入`);
+    }
+    registerLut(name, await parseLutFile(name, bytes));
+    return getLoadedLut(name);
+}
+
+/**
+ * 三线性插值：在包围输入颜色的 8 个网格点之间插值
+ */
+function sampleTrilinear(table, size, r, g, b, fr, fg, fb, out) {
+    const strideG = size * 3;
+    const strideB = size * size * 3;
+    const base = b * strideB + g * strideG + r * 3;
+    for (let c = 0; c < 3; c++) {
+        const i = base + c;
+        const c00 = table[i] + (table[i + 3] - table[i]) * fr;
+        const c10 = table[i + strideG] + (table[i + strideG + 3] - table[i + strideG]) * fr;
+        const c01 = table[i + strideB] + (table[i + strideB + 3] - table[i + strideB]) * fr;
+        const c11 = table[i + strideB + strideG] + (table[i + strideB + strideG + 3] - table[i + strideB + strideG]) * fr;
+        const c0 = c00 + (c10 - c00) * fg;
+        const c1 = c01 + (c11 - c01) * fg;
+        out[c] = c0 + (c1 - c0) * fb;
+    }
+}
+
+/**
+ * 四面体插值：把网格立方体分成 6 个四面体，只用其中 4 个点，
+ * 灰轴上的颜色只由灰轴上的网格点决定，中性色不会偏色
+ */
+function sampleTetrahedral(table, size, r, g, b, fr, fg, fb, out) {
+    const dr = 3;
+    const dg = size * 3;
+    const db = size * size * 3;
+    const base = b * db + g * dg + r * 3;
+    // 按分数从大到小确定经过的顶点
+    let first, second, f1, f2, f3;
+    if (fr >= fg) {
+        if (fg >= fb) {
+            first = dr; second = dr + dg; f1 = fr; f2 = fg; f3 = fb;
+        } else if (fr >= fb) {
+            first = dr; second = dr + db; f1 = fr; f2 = fb; f3 = fg;
+        } else {
+            first = db; second = db + dr; f1 = fb; f2 = fr; f3 = fg;
+        }
+    } else if (fb >= fg) {
+        first = db; second = db + dg; f1 = fb; f2 = fg; f3 = fr;
+    } else if (fb >= fr) {
+        first = dg; second = dg + db; f1 = fg; f2 = fb; f3 = fr;
+    } else {
+        first = dg; second = dg + dr; f1 = fg; f2 = fr; f3 = fb;
+    }
+    const last = dr + dg + db;
+    for (let c = 0; c < 3; c++) {
+        const i = base + c;
+        out[c] = (1 - f1) * table[i] + (f1 - f2) * table[i + first] + (f2 - f3) * table[i + second] + f3 * table[i + last];
+    }
+}
+
+/**
+ * 在 RGBA 工作图像上应用 3D LUT
+ * @param {Float32Array|Uint8ClampedArray} data - RGBA图像数据（sRGB，0-255），原地修改
+ * @param {number} width - 图像宽度
+ * @param {number} height - 图像高度
+ * @param {Object|null} lut - LUT 对象，为 null 时不处理
+ * @param {number} opacity - 不透明度（0-100），与原图按比例混合
+ * @param {string} interpolation - 'tetrahedral' 或 'trilinear'
+ */
+export function applyLut(data, width, height, lut, opacity = 100, interpolation = 'tetrahedral') {
+    if (!lut || opacity <= 0) {
+        return;
+    }
+    const { size, table, domainMin, domainMax } = lut;
+    const sample = interpolation === 'trilinear' ? sampleTrilinear : sampleTetrahedral;
+    const mix = Math.min(100, opacity) / 100;
+    const last = size - 1;
+    // 输入 0-255 映射到网格坐标
+    const scale = [0, 1, 2].map(c => last / (255 * (domainMax[c] - domainMin[c])));
+    const offset = [0, 1, 2].map(c => domainMin[c] * 255);
+    const out = new Float32Array(3);
+    const length = width * height * 4;
+
+    for (let i = 0; i < length; i += 4) {
+        const x = Math.min(last, Math.max(0, (data[i] - offset[0]) * scale[0]));
+        const y = Math.min(last, Math.max(0, (data[i + 1] - offset[1]) * scale[1]));
+        const z = Math.min(last, Math.max(0, (data[i + 2] - offset[2]) * scale[2]));
+        // 最后一个网格单元的上边界取到 last，整数部分不超过 last - 1
+        const r = Math.min(last - 1, x | 0);
+        const g = Math.min(last - 1, y | 0);
+        const b = Math.min(last - 1, z | 0);
+        sample(table, size, r, g, b, x - r, y - g, z - b, out);
+
+        data[i] += (Math.min(255, Math.max(0, out[0] * 255)) - data[i]) * mix;
+        data[i + 1] += (Math.min(255, Math.max(0, out[1] * 255)) - data[i + 1]) * mix;
+        data[i + 2] += (Math.min(255, Math.max(0, out[2] * 255)) - data[i + 2]) * mix;
+    }
+}
+
+/**
+ * 初始化 LUT 功能
+ * @param {Object} elements - UI元素对象
+ * @param {Object} settings - 设置对象，写入 settings.lut、settings.lutOpacity、settings.lutInterpolation
+ * @param {Function} updateFunction - 调整后重新渲染图像的函数
+ * @returns {Object} {syncControls}
+ */
+export function initLutModule(elements, settings, updateFunction) {
+    const { lutSelect, lutInput, interpolationSelect, opacitySlider, opacityValue, hint } = elements;
+
+    async function refreshOptions() {
+        const names = await listAssets(LUT_ASSET);
+        lutSelect.innerHTML = '';
+        lutSelect.add(new Option('无', ''));
+        names.forEach(name => lutSelect.add(new Option(name, name)));
+        lutSelect.value = settings.lut || '';
+    }
+
+    // 确保选中的 LUT 已加载；加载完成后重新渲染一次
+    async function ensureLoaded() {
+        const name = settings.lut;
+        if (!name || getLoadedLut(name)) {
+            hint.textContent = '';
+            return;
+        }
+        hint.textContent = `正在加载 ${name}...`;
+        try {
+            const lut = await loadLut(name);
+            // 加载期间可能已经换成了别的 LUT
+            if (settings.lut !== name) return;
+            hint.textContent = `${lut.title || name}：${lut.size}³ 网格`;
+            updateFunction();
+        } catch (error) {
+            console.error(`加载 LUT ${name} 失败:`, error);
+            if (settings.lut === name) {
+                hint.textContent = error.message;
+            }
+        }
+    }
+
+    // 让控件与设置一致（重置、应用滤镜后调用），预设引用的 LUT 在这里加载
+    function syncControls() {
+        const name = settings.lut || '';
+        // 预设引用的 LUT 不在列表中时也显示出来，提示需要导入
+        if (name && ![...lutSelect.options].some(option => option.value === name)) {
+            lutSelect.add(new Option(name, name));
+        }
+        lutSelect.value = name;
+        interpolationSelect.value = settings.lutInterpolation || 'tetrahedral';
+        opacitySlider.value = settings.lutOpacity ?? 100;
+        opacityValue.textContent = settings.lutOpacity ?? 100;
+        ensureLoaded();
+    }
+
+    lutSelect.addEventListener('change', () => {
+        settings.lut = lutSelect.value || null;
+        syncControls();
+        updateFunction();
+    });
+
+    interpolationSelect.addEventListener('change', () => {
+        settings.lutInterpolation = interpolationSelect.value;
+        updateFunction();
+    });
+
+    opacitySlider.addEventListener('input', () => {
+        settings.lutOpacity = parseInt(opacitySlider.value);
+        opacityValue.textContent = settings.lutOpacity;
+        updateFunction();
+    });
+
+    // 导入后直接选中
+    lutInput.addEventListener('change', async () => {
+        const file = lutInput.files[0];
+        lutInput.value = '';
+        if (!file) return;
+        try {
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            // 先解析一遍，无效的文件不保存
+            const lut = await parseLutFile(file.name, bytes);
+            await saveAsset(LUT_ASSET, file.name, bytes);
+            registerLut(file.name, lut);
+            await refreshOptions();
+            settings.lut = file.name;
+            syncControls();
+            hint.textContent = `${lut.title || file.name}：${lut.size}³ 网格`;
+            updateFunction();
+        } catch (error) {
+            console.error(`导入 ${file.name} 失败:`, error);
+            hint.textContent = error.message;
+        }
+    });
+
+    refreshOptions()
+        .then(syncControls)
+        .catch(error => console.warn('读取已保存的 LUT 失败:', error));
+    return { syncControls };
+}
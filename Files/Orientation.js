@@ -0,0 +1,79 @@
+/**
+ * 图像方向换算模块
+ * LibRaw 按 metadata().flip 旋转输出图像，这里在显示坐标（旋转后）和
+ * 传感器坐标（旋转前的可见区域，cropbox 等参数使用）之间换算
+ */
+
+/**
+ * 获取旋转前的可见区域尺寸
+ * @param {Object} metadata - libraw.metadata() 的结果（width/height 为旋转后的尺寸）
+ * @returns {{width: number, height: number}} 传感器坐标下的尺寸
+ */
+export function sensorSize(metadata) {
+    const flip = metadata.flip || 0;
+    return flip & 4
+        ? { width: metadata.height, height: metadata.width }
+        : { width: metadata.width, height: metadata.height };
+}
+
+/**
+ * 把显示坐标换算为传感器坐标，与 LibRaw 的 flip_index() 相同：
+ * 先按 bit 2 交换行列，再按 bit 1 上下翻转、按 bit 0 左右翻转
+ * @param {number} x - 显示坐标 x
+ * @param {number} y - 显示坐标 y
+ * @param {Object} metadata - libraw.metadata() 的结果
+ * @returns {{x: number, y: number}} 传感器坐标
+ */
+export function displayToSensor(x, y, metadata) {
+    const flip = metadata.flip || 0;
+    const { width, height } = sensorSize(metadata);
+    let row = y;
+    let col = x;
+    if (flip & 4) {
+        [row, col] = [col, row];
+    }
+    if (flip & 2) {
+        row = height - 1 - row;
+    }
+    if (flip & 1) {
+        col = width - 1 - col;
+    }
+    return { x: col, y: row };
+}
+
+/**
+ * 把传感器坐标换算为显示坐标（displayToSensor 的逆运算）
+ * @param {number} x - 传感器坐标 x（可见区域内）
+ * @param {number} y - 传感器坐标 y（可见区域内）
+ * @param {Object} metadata - libraw.metadata() 的结果
+ * @returns {{x: number, y: number}} 显示坐标
+ */
+export function sensorToDisplay(x, y, metadata) {
+    const flip = metadata.flip || 0;
+    const { width, height } = sensorSize(metadata);
+    let row = flip & 2 ? height - 1 - y : y;
+    let col = flip & 1 ? width - 1 - x : x;
+    if (flip & 4) {
+        [row, col] = [col, row];
+    }
+    return { x: col, y: row };
+}
+
+/**
+ * 把显示坐标下的矩形换算为传感器坐标下的矩形（可直接用作 cropbox）
+ * @param {{x: number, y: number, width: number, height: number}} rect - 显示坐标矩形
+ * @param {Object} metadata - libraw.metadata() 的结果
+ * @returns {{left: number, top: number, width: number, height: number}} 传感器坐标矩形
+ */
+export function displayRectToSensor(rect, metadata) {
+    const a = displayToSensor(rect.x, rect.y, metadata);
+    const b = displayToSensor(rect.x + rect.width - 1, rect.y + rect.height - 1, metadata);
+    const left = Math.min(a.x, b.x);
+    const top = Math.min(a.y, b.y);
+    return {
+        left,
+        top,
+        width: Math.abs(a.x - b.x) + 1,
+        height: Math.abs(a.y - b.y) + 1
+    };
+}
@@ -0,0 +1,77 @@
+/**
+ * 渲染流水线模块
+ * 按固定顺序在解码后的工作图像上执行各调整模块，浏览器界面和命令行工具共用
+ */
+
+import { applyExposureAdjustments, hasExposureAdjustments, applyColorAdjustments } from './color.js';
+import { imageToLinear, imageToSrgb } from './ColorSpace.js';
+import { applyToneAdjustments } from './Tone.js';
+import { applyCurves } from './Curves.js';
+import { applyHslMixer } from './HSLMixer.js';
+import { applyColorGrading } from './ColorGrading.js';
+import { applyLut, getLoadedLut } from './LUT.js';
+import { applySharpness, applyNoiseReduction, applyFaceBrightening } from './Details.js';
+
+/**
+ * 在 RGBA 工作图像上依次应用各调整，分两个阶段：
+ * 1. 线性光：白平衡系数、亮度、曝光和降噪。它们模拟的是光量的相乘和混合，
+ *    先用 imageToLinear 解码 sRGB，做完后用 imageToSrgb 编码回去（高光在此截断）
+ * 2. sRGB 感知空间：对比度、饱和度、阴影高光、曲线、HSL 混色器、色彩分级、3D LUT、锐化和面部提亮。
+ *    这些调整的参数按人眼感知设计，直接作用于 sRGB 编码值；面部提亮只在混合时临时转换到线性光
+ * @param {Float32Array} data - RGBA图像数据（sRGB，0-255），原地修改
+ * @param {number} width - 图像宽度
+ * @param {number} height - 图像高度
+ * @param {Object} settings - 设置对象，键见 settings.js 中的 SETTINGS_SCHEMA
+ */
+export function applyRenderPipeline(data, width, height, settings) {
+    const needNoiseReduction = settings.fbdd_noiserd > 0;
+
+    // 线性光阶段，没有相关调整时省去两次转换
+    if (hasExposureAdjustments(settings) || needNoiseReduction) {
+        imageToLinear(data);
+
+        applyExposureAdjustments(data, width, height, settings);
+
+        // 降噪的模糊在线性光上混合，暗部噪点不会被平均得偏暗
+        if (needNoiseReduction) {
+            applyNoiseReduction(
+                data,
+                width,
+                height,
+                settings.fbdd_noiserd,
+                settings.noiseType,
+                settings.detailPreservation
+            );
+        }
+
+        imageToSrgb(data);
+    }
+
+    // 对比度、饱和度和自然饱和度（从color.js模块）
+    applyColorAdjustments(data, width, height, settings);
+
+    // 阴影、高光和白色按亮度平滑调整
+    applyToneAdjustments(data, width, height, settings);
+
+    // 曲线在基础调整之后，作用于最终的影调
+    applyCurves(data, width, height, settings.curves);
+
+    // HSL 混色器按色相微调各颜色
+    applyHslMixer(data, width, height, settings.hsl);
+
+    // 色彩分级按亮度范围着色，在颜色都调整好之后进行
+    applyColorGrading(data, width, height, settings.grading);
+
+    // 3D LUT 在所有颜色调整之后套用风格；只使用已经加载的 LUT（见 LUT.js）
+    applyLut(data, width, height, getLoadedLut(settings.lut), settings.lutOpacity, settings.lutInterpolation);
+
+    // 锐化放在颜色调整之后，按显示的反差增强边缘
+    if (settings.sharpness > 0) {
+        applySharpness(data, width, height, settings.sharpness);
+    }
+
+    // 应用面部提亮
+    if (settings.faceBrightening > 0) {
+        applyFaceBrightening(data, width, height, settings.faceBrightening, settings.faceSmoothness || 50);
+    }
+}
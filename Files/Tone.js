@@ -0,0 +1,213 @@
+/**
+ * 影调调整模块
+ * 阴影、高光、白色按像素亮度（而不是各通道分别）用平滑的权重曲线调整，
+ * 三个通道加上相同的亮度偏移，不会在阈值处出现色阶断层和偏色；
+ * 可选用保边平滑后的亮度作为蒙版，提亮阴影时保留局部对比
+ */
+
+// 滑块拉满（±50）时的最大亮度偏移（0-1），与原阈值算法的幅度相当
+const TONE_STRENGTH = 0.125;
+// 蒙版在不超过约一百万像素的缩小图上计算
+const MASK_MAX_PIXELS = 1e6;
+// 最大平滑半径占长边的比例
+const MASK_MAX_RADIUS = 0.02;
+// 导向滤波的正则项：亮度差小于约 0.1 的细节被抹平，更大的边缘保留
+const MASK_EPSILON = 0.01;
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+/**
+ * 阴影、高光、白色的权重曲线
+ * @param {number} luma - 亮度（0-1）
+ * @returns {number[]} [阴影, 高光, 白色] 权重（0-1）
+ */
+export function toneRangeWeights(luma) {
+    return [
+        1 - smoothstep(0, 0.5, luma),
+        smoothstep(0.5, 1, luma),
+        smoothstep(0.75, 1, luma)
+    ];
+}
+
+/**
+ * 计算某亮度的亮度偏移（自动影调也用它预测调整结果）
+ * @param {number} luma - 亮度（0-1）
+ * @param {number} shadows - 阴影（-50 到 50）
+ * @param {number} highlights - 高光（-50 到 50）
+ * @param {number} whites - 白色（0-100，100 为不变）
+ * @returns {number} 亮度偏移（0-1）
+ */
+export function toneDelta(luma, shadows, highlights, whites) {
+    const [shadowWeight, highlightWeight, whiteWeight] = toneRangeWeights(luma);
+    // 提亮时按离白色的距离、压暗时按离黑色的距离缩放，结果不会越过 0 和 1
+    const shadowAmount = shadows / 50 * TONE_STRENGTH;
+    const highlightAmount = highlights / 50 * TONE_STRENGTH;
+    let delta = shadowWeight * shadowAmount * (shadowAmount > 0 ? 1 - luma : luma);
+    delta += highlightWeight * highlightAmount * (highlightAmount > 0 ? 1 - luma : luma);
+    // 白色沿用原来的含义：按比例压低最亮的部分
+    delta += whiteWeight * (whites / 100 - 1) * luma;
+    return delta;
+}
+
+/**
+ * 一维滑动窗口均值（原地，窗口在边界处截断）
+ */
+function boxBlurLine(source, target, offset, stride, length, radius) {
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < Math.min(radius, length); i++) {
+        sum += source[offset + i * stride];
+        count++;
+    }
+    for (let i = 0; i < length; i++) {
+        if (i + radius < length) {
+            sum += source[offset + (i + radius) * stride];
+            count++;
+        }
+        if (i - radius - 1 >= 0) {
+            sum -= source[offset + (i - radius - 1) * stride];
+            count--;
+        }
+        target[offset + i * stride] = sum / count;
+    }
+}
+
+/**
+ * 二维方框均值滤波
+ * @returns {Float32Array} 滤波结果
+ */
+function boxBlur(source, width, height, radius) {
+    const temp = new Float32Array(source.length);
+    const result = new Float32Array(source.length);
+    for (let y = 0; y < height; y++) {
+        boxBlurLine(source, temp, y * width, 1, width, radius);
+    }
+    for (let x = 0; x < width; x++) {
+        boxBlurLine(temp, result, x, width, height, radius);
+    }
+    return result;
+}
+
+/**
+ * 导向滤波（以亮度自身为导向图）：平坦区域被平滑，强边缘保留
+ * @param {Float32Array} luma - 亮度（0-1）
+ * @returns {Float32Array} 平滑后的亮度
+ */
+function guidedFilter(luma, width, height, radius) {
+    const squares = new Float32Array(luma.length);
+    for (let i = 0; i < luma.length; i++) {
+        squares[i] = luma[i] * luma[i];
+    }
+    const mean = boxBlur(luma, width, height, radius);
+    const meanSquares = boxBlur(squares, width, height, radius);
+    // 复用数组：squares 存放 a，meanSquares 存放 b
+    const a = squares;
+    const b = meanSquares;
+    for (let i = 0; i < luma.length; i++) {
+        const variance = Math.max(0, meanSquares[i] - mean[i] * mean[i]);
+        a[i] = variance / (variance + MASK_EPSILON);
+        b[i] = mean[i] - a[i] * mean[i];
+    }
+    const meanA = boxBlur(a, width, height, radius);
+    const meanB = boxBlur(b, width, height, radius);
+    for (let i = 0; i < luma.length; i++) {
+        meanA[i] = meanA[i] * luma[i] + meanB[i];
+    }
+    return meanA;
+}
+
+/**
+ * 生成保边平滑的亮度蒙版，在缩小图上计算
+ * @param {Float32Array|Uint8ClampedArray} data - RGBA图像数据（sRGB，0-255）
+ * @param {number} width - 图像宽度
+ * @param {number} height - 图像高度
+ * @param {number} smoothing - 平滑程度（1-100）
+ * @returns {{mask: Float32Array, width: number, height: number, scale: number}} 缩小图上的亮度蒙版（0-1）
+ */
+export function buildLuminanceMask(data, width, height, smoothing) {
+    const scale = Math.max(1, Math.ceil(Math.sqrt(width * height / MASK_MAX_PIXELS)));
+    const maskWidth = Math.ceil(width / scale);
+    const maskHeight = Math.ceil(height / scale);
+    const luma = new Float32Array(maskWidth * maskHeight);
+    const counts = new Uint16Array(maskWidth * maskHeight);
+
+    // 按块平均缩小
+    for (let y = 0; y < height; y++) {
+        const row = Math.floor(y / scale) * maskWidth;
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const j = row + Math.floor(x / scale);
+            luma[j] += (0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2]) / 255;
+            counts[j]++;
+        }
+    }
+    for (let j = 0; j < luma.length; j++) {
+        luma[j] /= counts[j];
+    }
+
+    const radius = Math.max(1, Math.round(smoothing / 100 * MASK_MAX_RADIUS * Math.max(maskWidth, maskHeight)));
+    return { mask: guidedFilter(luma, maskWidth, maskHeight, radius), width: maskWidth, height: maskHeight, scale };
+}
+
+/**
+ * 双线性采样缩小图上的蒙版
+ */
+function sampleMask(mask, x, y) {
+    const fx = Math.min(mask.width - 1, Math.max(0, (x + 0.5) / mask.scale - 0.5));
+    const fy = Math.min(mask.height - 1, Math.max(0, (y + 0.5) / mask.scale - 0.5));
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const x1 = Math.min(mask.width - 1, x0 + 1);
+    const y1 = Math.min(mask.height - 1, y0 + 1);
+    const tx = fx - x0;
+    const ty = fy - y0;
+    const m = mask.mask;
+    const top = m[y0 * mask.width + x0] + (m[y0 * mask.width + x1] - m[y0 * mask.width + x0]) * tx;
+    const bottom = m[y1 * mask.width + x0] + (m[y1 * mask.width + x1] - m[y1 * mask.width + x0]) * tx;
+    return top + (bottom - top) * ty;
+}
+
+/**
+ * 在 RGBA 工作图像上应用阴影、高光和白色调整
+ * @param {Float32Array|Uint8ClampedArray} data - RGBA图像数据（sRGB，0-255），原地修改
+ * @param {number} width - 图像宽度
+ * @param {number} height - 图像高度
+ * @param {Object} settings - 设置对象：shadows、highlights、whites、toneMaskSmoothing
+ */
+export function applyToneAdjustments(data, width, height, settings) {
+    const shadows = settings.shadows || 0;
+    const highlights = settings.highlights || 0;
+    const whites = settings.whites ?? 100;
+    if (shadows === 0 && highlights === 0 && whites === 100) {
+        return;
+    }
+
+    // 偏移只取决于亮度，预先算成查找表
+    const table = new Float32Array(1024);
+    for (let i = 0; i < table.length; i++) {
+        table[i] = toneDelta(i / (table.length - 1), shadows, highlights, whites) * 255;
+    }
+    const lookup = luma => table[Math.min(table.length - 1, Math.max(0, Math.round(luma * (table.length - 1))))];
+
+    const smoothing = settings.toneMaskSmoothing || 0;
+    const mask = smoothing > 0 ? buildLuminanceMask(data, width, height, smoothing) : null;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const r = data[i];
+            const g = data[i + 1];
+            const b = data[i + 2];
+            // 有蒙版时按周围区域的亮度决定偏移，同一区域内的明暗细节一起移动
+            const luma = mask ? sampleMask(mask, x, y) : (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+            const delta = lookup(luma);
+            if (delta === 0) continue;
+            data[i] = Math.min(255, Math.max(0, r + delta));
+            data[i + 1] = Math.min(255, Math.max(0, g + delta));
+            data[i + 2] = Math.min(255, Math.max(0, b + delta));
+        }
+    }
+}
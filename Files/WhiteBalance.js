@@ -0,0 +1,501 @@
+/**
+ * 白平衡模块
+ * 以色温（K）和色调（绿-品红）描述白平衡，借助相机的色彩矩阵与 LibRaw 的通道系数（user_mul）互相换算，
+ * 在相机白平衡、自动白平衡和手动之间切换时保持数值一致；
+ * 并支持在图像上点选或框选中性区域（灰卡），由 LibRaw 按该区域计算通道系数（greybox + 自动白平衡）
+ */
+
+import { debounce } from './Basic.js';
+import { displayRectToSensor } from './Orientation.js';
+
+// 单击时取样区域的半径（画布像素）
+const CLICK_RADIUS = 4;
+// 拖动距离小于该值时按单击处理（画布像素）
+const DRAG_THRESHOLD = 3;
+// LibRaw 的默认 greybox：整幅图像
+const FULL_GREYBOX = [0, 0, 0xFFFFFFFF, 0xFFFFFFFF];
+// user_mul 第一个值为 0 时 LibRaw 不使用它
+const NO_USER_MUL = [0, 0, 0, 0];
+// 色调与 Duv 的换算比例，与常见 RAW 软件的色调刻度大致相当
+const TINT_SCALE = 3000;
+// 色温搜索范围（mired，即 1e6 / K），与 planckianUV 的有效范围一致
+const MIN_MIRED = 1e6 / 15000;
+const MAX_MIRED = 1e6 / 1000;
+// 相机没有色彩矩阵时用来近似其响应的典型拜耳相机矩阵（XYZ -> 相机），
+// 取自 LibRaw 的 adobe_coeff 中的 Canon EOS 5D Mark II
+const TYPICAL_CAM_XYZ = [
+    [0.4716, 0.0603, -0.0830],
+    [-0.7798, 1.5474, 0.2480],
+    [-0.1496, 0.1937, 0.6651]
+];
+// D65 白点的 XYZ (Y = 1)
+const D65_XYZ = [0.95047, 1, 1.08883];
+
+/**
+ * 普朗克轨迹上某色温的 CIE 1960 uv 坐标（Krystek 1985 近似，1000K-15000K）
+ * @param {number} temperature - 色温 (K)
+ * @returns {{u: number, v: number}} uv 坐标
+ */
+function planckianUV(temperature) {
+    const t = temperature;
+    return {
+        u: (0.860117757 + 1.54118254e-4 * t + 1.28641212e-7 * t * t) / (1 + 8.42420235e-4 * t + 7.08145163e-7 * t * t),
+        v: (0.317398726 + 4.22806245e-5 * t + 4.20481691e-8 * t * t) / (1 - 2.89741816e-5 * t + 1.61456053e-7 * t * t)
+    };
+}
+
+/**
+ * 轨迹上某点及其单位法线（指向 v 增大的一侧，即偏绿的一侧）
+ * @param {number} mired - 倒数色温
+ * @returns {{u: number, v: number, nu: number, nv: number}} 轨迹点和法线
+ */
+function locusPoint(mired) {
+    const point = planckianUV(1e6 / mired);
+    const before = planckianUV(1e6 / (mired - 0.5));
+    const after = planckianUV(1e6 / (mired + 0.5));
+    const length = Math.hypot(after.u - before.u, after.v - before.v);
+    let nu = -(after.v - before.v) / length;
+    let nv = (after.u - before.u) / length;
+    if (nv < 0) {
+        nu = -nu;
+        nv = -nv;
+    }
+    return { u: point.u, v: point.v, nu, nv };
+}
+
+/**
+ * 3x3 矩阵求逆，矩阵不可逆时返回 null
+ */
+function invert3x3(m) {
+    const [[a, b, c], [d, e, f], [g, h, i]] = m;
+    const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+    if (Math.abs(det) < 1e-12) {
+        return null;
+    }
+    return [
+        [(e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det],
+        [(f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det],
+        [(d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det]
+    ];
+}
+
+/**
+ * 相机是否有可用的色彩矩阵
+ * @param {number[][]} camXyz - metadata().color_data.cam_xyz
+ * @returns {boolean} 前三行可逆时为 true
+ */
+function hasColorMatrix(camXyz) {
+    return Array.isArray(camXyz) && camXyz.length >= 3 && invert3x3(camXyz.slice(0, 3)) !== null;
+}
+
+/**
+ * 把白平衡系数换算为光源的相关色温和色调
+ * 系数的倒数就是中性色在相机空间中的响应，经 cam_xyz 的逆矩阵得到光源的 XYZ
+ * @param {number[]} multipliers - 通道系数 [R, G, B, G2]
+ * @param {number[][]} camXyz - metadata().color_data.cam_xyz（XYZ -> 相机，4x3）
+ * @returns {{temperature: number, tint: number}|null} 色温 (K) 和色调（正值偏品红），无法换算时为 null
+ */
+export function multipliersToTemperature(multipliers, camXyz) {
+    if (!hasColorMatrix(camXyz) || !multipliers || multipliers.slice(0, 3).some(value => !(value > 0))) {
+        return null;
+    }
+    const inverse = invert3x3(camXyz.slice(0, 3));
+    const camera = [1 / multipliers[0], 1 / multipliers[1], 1 / multipliers[2]];
+    const [x, y, z] = inverse.map(row => row[0] * camera[0] + row[1] * camera[1] + row[2] * camera[2]);
+    const denominator = x + 15 * y + 3 * z;
+    if (!(denominator > 0)) {
+        return null;
+    }
+    const u = 4 * x / denominator;
+    const v = 6 * y / denominator;
+
+    // 在倒数色温上搜索轨迹上最近的点，先粗后细
+    const distance = mired => {
+        const point = planckianUV(1e6 / mired);
+        return Math.hypot(u - point.u, v - point.v);
+    };
+    let best = 1e6 / 6500;
+    for (let mired = MIN_MIRED; mired <= MAX_MIRED; mired += 2) {
+        if (distance(mired) < distance(best)) best = mired;
+    }
+    for (let mired = best - 2; mired <= best + 2; mired += 0.01) {
+        if (mired >= MIN_MIRED && mired <= MAX_MIRED && distance(mired) < distance(best)) best = mired;
+    }
+
+    // 偏离轨迹的距离沿法线计算；位于轨迹上方（偏绿）的光源需要加品红补偿，色调为正
+    const locus = locusPoint(best);
+    const duv = (u - locus.u) * locus.nu + (v - locus.v) * locus.nv;
+    return {
+        temperature: Math.round(1e6 / best),
+        tint: Math.round(duv * TINT_SCALE) + 0
+    };
+}
+
+/**
+ * 色温换算使用的 XYZ -> 相机矩阵。旧版 libraw.wasm 的 metadata() 不返回 cam_xyz，
+ * 此时用典型相机的矩阵近似，并按 pre_mul 中的日光系数缩放各通道，
+ * 使 D65 正好换算为这台相机的日光系数；离日光越远误差越大
+ * @param {Object} colorData - 打开文件后、处理之前的 metadata(true).color_data（处理后 pre_mul 是实际使用的系数）
+ * @returns {number[][]|null} 4x3 矩阵，两者都没有时为 null
+ */
+export function cameraColorMatrix(colorData) {
+    if (hasColorMatrix(colorData?.cam_xyz)) {
+        return colorData.cam_xyz;
+    }
+    const daylight = colorData?.pre_mul;
+    if (!daylight || daylight.slice(0, 3).some(value => !(value > 0))) {
+        return null;
+    }
+    const response = TYPICAL_CAM_XYZ.map(row => row[0] * D65_XYZ[0] + row[1] * D65_XYZ[1] + row[2] * D65_XYZ[2]);
+    const scaled = (c, multiplier) => TYPICAL_CAM_XYZ[c].map(value => value / (response[c] * multiplier));
+    return [scaled(0, daylight[0]), scaled(1, daylight[1]), scaled(2, daylight[2]), daylight[3] > 0 ? scaled(1, daylight[3]) : scaled(1, daylight[1])];
+}
+
+/**
+ * 把色温和色调换算为白平衡系数（multipliersToTemperature 的逆运算）
+ * @param {number} temperature - 色温 (K)，超出 1000K-15000K 时按边界计算
+ * @param {number} tint - 色调，正值偏品红
+ * @param {number[][]} camXyz - metadata().color_data.cam_xyz（XYZ -> 相机，4x3）
+ * @returns {number[]|null} 通道系数 [R, G, B, G2]（绿色为 1），相机没有色彩矩阵时为 null
+ */
+export function temperatureToMultipliers(temperature, tint, camXyz) {
+    if (!hasColorMatrix(camXyz)) {
+        return null;
+    }
+    const mired = Math.min(MAX_MIRED, Math.max(MIN_MIRED, 1e6 / temperature));
+    const locus = locusPoint(mired);
+    const duv = tint / TINT_SCALE;
+    const u = locus.u + duv * locus.nu;
+    const v = locus.v + duv * locus.nv;
+
+    // CIE 1960 uv -> xy -> XYZ (Y = 1)
+    const denominator = 2 * u - 8 * v + 4;
+    const x = 3 * u / denominator;
+    const y = 2 * v / denominator;
+    const xyz = [x / y, 1, (1 - x - y) / y];
+
+    const camera = camXyz.map(row => row[0] * xyz[0] + row[1] * xyz[1] + row[2] * xyz[2]);
+    if (camera.slice(0, 3).some(value => !(value > 0))) {
+        return null;
+    }
+    // 三色相机的第四行为零，第二个绿色通道使用绿色的系数
+    const multipliers = [camera[0], camera[1], camera[2], camera[3] > 0 ? camera[3] : camera[1]]
+        .map(value => camera[1] / value);
+    return multipliers.map(value => Number(value.toFixed(5)));
+}
+
+/**
+ * 按设置中的色温和色调计算 LibRaw 的 user_mul，命令行工具在打开文件后调用
+ * @param {Object} settings - 设置对象（wb_temperature、wb_tint）
+ * @param {Object} metadata - 打开文件后、处理之前的 libraw.metadata(true) 的结果
+ * @returns {number[]|null} 通道系数，未设置色温或相机没有色彩矩阵时为 null
+ */
+export function resolveWhiteBalance(settings, metadata) {
+    if (settings.wb_temperature == null) {
+        return null;
+    }
+    return temperatureToMultipliers(settings.wb_temperature, settings.wb_tint ?? 0, cameraColorMatrix(metadata?.color_data));
+}
+
+/**
+ * 初始化白平衡功能
+ * @param {Object} elements - UI元素对象
+ * @param {Object} settings - 设置对象，手动白平衡写入 wb_temperature、wb_tint 和 raw_user_mul
+ * @param {Function} updateFunction - 用新设置重新处理图像的函数
+ * @param {Function} getSource - 返回 {libraw}，没有解码好的图像时返回 null
+ * @returns {Object} {syncControls, applyForCamera, refresh}
+ */
+export function initWhiteBalanceModule(elements, settings, updateFunction, getSource) {
+    const {
+        pickButton, useAutoWbCheckbox, useCameraWbCheckbox,
+        temperatureSlider, temperatureValue, tintSlider, tintValue,
+        canvas, selectionBox, hint
+    } = elements;
+    // 当前文件的元数据，色彩矩阵和相机记录的白平衡（As Shot）来自这里
+    let metadata = null;
+    // 上次自动白平衡实际使用的色温和色调
+    let autoEstimate = null;
+    // 滑块上正在显示的数值，无法换算时为 null
+    let shownEstimate = null;
+    let picking = false;
+    let dragStart = null;
+    // mouseup 之后浏览器还会派发 click，不能让它切换图片细节的固定模式
+    let suppressClick = false;
+
+    function camXyz() {
+        return cameraColorMatrix(metadata?.color_data);
+    }
+
+    // 手动白平衡可用时的提示：没有相机色彩矩阵时说明数值是近似的
+    function manualHint() {
+        if (!hasUserMul()) return '该相机没有色彩矩阵，无法使用色温白平衡';
+        return hasColorMatrix(metadata?.color_data?.cam_xyz) ? '' : '当前 libraw.wasm 不提供相机色彩矩阵，色温和色调为近似值';
+    }
+
+    // 相机记录的白平衡；没有记录时 LibRaw 使用 pre_mul 中的日光系数
+    function asShotEstimate() {
+        const colorData = metadata?.color_data;
+        if (!colorData) return null;
+        const camMul = colorData.cam_mul?.[0] > 0 ? colorData.cam_mul : colorData.pre_mul;
+        return multipliersToTemperature(camMul, camXyz());
+    }
+
+    function isManual() {
+        return settings.wb_temperature != null;
+    }
+
+    function hasUserMul() {
+        return Array.isArray(settings.raw_user_mul) && settings.raw_user_mul[0] > 0;
+    }
+
+    function showEstimate(estimate) {
+        shownEstimate = estimate;
+        if (estimate) {
+            temperatureSlider.value = estimate.temperature;
+            tintSlider.value = estimate.tint;
+            temperatureValue.textContent = `${estimate.temperature} K`;
+            tintValue.textContent = `${estimate.tint > 0 ? '+' : ''}${estimate.tint}`;
+        } else {
+            temperatureValue.textContent = '—';
+            tintValue.textContent = '—';
+        }
+    }
+
+    // 让控件与设置对象保持一致（重置、应用滤镜后调用）。
+    // LibRaw 会保留上次传入的参数，没有手动系数时需要显式传入全零才能清除
+    function syncControls() {
+        if (isManual()) {
+            showEstimate({ temperature: settings.wb_temperature, tint: settings.wb_tint ?? 0 });
+            return;
+        }
+        if (!hasUserMul()) {
+            settings.raw_user_mul = [...NO_USER_MUL];
+        }
+        if (hasUserMul()) {
+            // 相机没有色彩矩阵时点选的系数无法换算为色温
+            showEstimate(multipliersToTemperature(settings.raw_user_mul, camXyz()));
+        } else if (settings.use_camera_wb) {
+            showEstimate(asShotEstimate());
+        } else if (settings.use_auto_wb) {
+            showEstimate(autoEstimate);
+        } else {
+            showEstimate(multipliersToTemperature(metadata?.color_data?.pre_mul, camXyz()));
+        }
+    }
+
+    /**
+     * 打开文件后、解码前调用：手动白平衡按新相机的色彩矩阵重新计算系数
+     * @param {Object} fileMetadata - libraw.metadata(true) 的结果
+     */
+    function applyForCamera(fileMetadata) {
+        metadata = fileMetadata;
+        autoEstimate = null;
+        if (isManual()) {
+            const multipliers = resolveWhiteBalance(settings, metadata);
+            settings.raw_user_mul = multipliers ?? [...NO_USER_MUL];
+            hint.textContent = manualHint();
+        }
+        syncControls();
+    }
+
+    /**
+     * 解码后调用：自动白平衡的系数由 LibRaw 计算，读回来显示为色温和色调
+     */
+    async function refresh() {
+        const source = getSource();
+        if (!source || isManual() || hasUserMul() || !settings.use_auto_wb) {
+            syncControls();
+            return;
+        }
+        // scale_colors() 把实际使用的系数留在 pre_mul 中
+        const { color_data: colorData } = await source.libraw.metadata(true);
+        autoEstimate = multipliersToTemperature(colorData.pre_mul, camXyz());
+        syncControls();
+    }
+
+    // 切换到手动：从当前显示的数值出发，色温和色调换算为系数交给 LibRaw
+    function setManual(temperature, tint) {
+        settings.wb_temperature = temperature;
+        settings.wb_tint = tint;
+        settings.use_auto_wb = 0;
+        settings.use_camera_wb = 0;
+        useAutoWbCheckbox.checked = false;
+        useCameraWbCheckbox.checked = false;
+        settings.raw_user_mul = temperatureToMultipliers(temperature, tint, camXyz()) ?? [...NO_USER_MUL];
+        hint.textContent = manualHint();
+        syncControls();
+    }
+
+    // 白平衡在 LibRaw 中进行，拖动时只处理最后一次
+    const debouncedUpdate = debounce(updateFunction, 300);
+
+    [temperatureSlider, tintSlider].forEach(slider => {
+        slider.addEventListener('input', () => {
+            if (!metadata) return;
+            setManual(parseInt(temperatureSlider.value), parseInt(tintSlider.value));
+            debouncedUpdate();
+        });
+    });
+
+    // 勾选自动或相机白平衡时放弃手动数值；两个都取消时保留当前显示的数值作为手动白平衡
+    [useAutoWbCheckbox, useCameraWbCheckbox].forEach(checkbox => {
+        checkbox.addEventListener('change', async () => {
+            if (checkbox.checked) {
+                delete settings.wb_temperature;
+                delete settings.wb_tint;
+                settings.raw_user_mul = [...NO_USER_MUL];
+                settings.greybox = [...FULL_GREYBOX];
+                hint.textContent = '';
+            } else if (shownEstimate) {
+                setManual(shownEstimate.temperature, shownEstimate.tint);
+            }
+            syncControls();
+            await updateFunction();
+            await refresh().catch(error => console.warn('读取自动白平衡系数失败:', error));
+        });
+    });
+
+    function setPicking(value) {
+        picking = value;
+        dragStart = null;
+        selectionBox.hidden = true;
+        canvas.classList.toggle('wb-picking', value);
+        pickButton.classList.toggle('active', value);
+        hint.textContent = value ? '在图像上单击灰卡，或拖动框选一块中性区域，Esc 取消' : '';
+    }
+
+    // 鼠标位置 -> 画布像素坐标
+    function toCanvasPoint(e) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: Math.max(0, Math.min(canvas.width - 1, Math.floor((e.clientX - rect.left) * canvas.width / rect.width))),
+            y: Math.max(0, Math.min(canvas.height - 1, Math.floor((e.clientY - rect.top) * canvas.height / rect.height)))
+        };
+    }
+
+    // 两点确定的画布矩形，距离太近时按单击取一个小方块
+    function toCanvasRect(a, b) {
+        if (Math.abs(a.x - b.x) < DRAG_THRESHOLD && Math.abs(a.y - b.y) < DRAG_THRESHOLD) {
+            const x = Math.max(0, b.x - CLICK_RADIUS);
+            const y = Math.max(0, b.y - CLICK_RADIUS);
+            return {
+                x,
+                y,
+                width: Math.min(canvas.width, b.x + CLICK_RADIUS + 1) - x,
+                height: Math.min(canvas.height, b.y + CLICK_RADIUS + 1) - y
+            };
+        }
+        const x = Math.min(a.x, b.x);
+        const y = Math.min(a.y, b.y);
+        return { x, y, width: Math.abs(a.x - b.x) + 1, height: Math.abs(a.y - b.y) + 1 };
+    }
+
+    // 在画布上方显示选区
+    function showSelection(rect) {
+        const canvasRect = canvas.getBoundingClientRect();
+        const containerRect = selectionBox.parentElement.getBoundingClientRect();
+        const scaleX = canvasRect.width / canvas.width;
+        const scaleY = canvasRect.height / canvas.height;
+        selectionBox.style.left = `${canvasRect.left - containerRect.left + rect.x * scaleX}px`;
+        selectionBox.style.top = `${canvasRect.top - containerRect.top + rect.y * scaleY}px`;
+        selectionBox.style.width = `${rect.width * scaleX}px`;
+        selectionBox.style.height = `${rect.height * scaleY}px`;
+        selectionBox.hidden = false;
+    }
+
+    /**
+     * 用选区重新计算白平衡：先让 LibRaw 在 greybox 内做自动白平衡，
+     * 再读出它实际使用的系数，作为手动白平衡固定下来
+     * @param {Object} rect - 画布坐标矩形
+     */
+    async function pickRegion(rect) {
+        const source = getSource();
+        if (!source || !metadata) return;
+        // 半尺寸解码时画布比传感器小一半，greybox 使用全尺寸坐标
+        const scaleX = metadata.width / canvas.width;
+        const scaleY = metadata.height / canvas.height;
+        const sensor = displayRectToSensor({
+            x: Math.floor(rect.x * scaleX),
+            y: Math.floor(rect.y * scaleY),
+            width: Math.max(1, Math.round(rect.width * scaleX)),
+            height: Math.max(1, Math.round(rect.height * scaleY))
+        }, metadata);
+
+        pickButton.disabled = true;
+        hint.textContent = '正在按选区计算白平衡...';
+        try {
+            delete settings.wb_temperature;
+            delete settings.wb_tint;
+            settings.raw_user_mul = [...NO_USER_MUL];
+            settings.greybox = [sensor.left, sensor.top, sensor.width, sensor.height];
+            settings.use_auto_wb = 1;
+            settings.use_camera_wb = 0;
+            await updateFunction();
+
+            const { color_data: colorData } = await source.libraw.metadata(true);
+            const multipliers = colorData.pre_mul.map(value => Number(value.toFixed(5)));
+            const estimate = multipliersToTemperature(multipliers, camXyz());
+            // 固定系数后，自动白平衡和选区都不再需要；图像与刚才的结果相同，无需再次处理
+            settings.greybox = [...FULL_GREYBOX];
+            if (estimate) {
+                setManual(estimate.temperature, estimate.tint);
+            } else {
+                settings.use_auto_wb = 0;
+                useAutoWbCheckbox.checked = false;
+                useCameraWbCheckbox.checked = false;
+            }
+            // 保留测得的原始系数，避免色温取整带来的误差
+            settings.raw_user_mul = multipliers;
+            syncControls();
+            hint.textContent = '已固定白平衡，之后打开的文件也会使用它；勾选自动或相机白平衡可取消';
+        } catch (error) {
+            console.error('计算白平衡失败:', error);
+            hint.textContent = `计算白平衡失败: ${error.message}`;
+        } finally {
+            pickButton.disabled = false;
+            selectionBox.hidden = true;
+        }
+    }
+
+    pickButton.addEventListener('click', () => {
+        if (!picking && !getSource()) {
+            hint.textContent = '请先打开 RAW 文件';
+            return;
+        }
+        setPicking(!picking);
+    });
+
+    canvas.addEventListener('mousedown', (e) => {
+        if (!picking || e.button !== 0) return;
+        e.preventDefault();
+        dragStart = toCanvasPoint(e);
+        showSelection(toCanvasRect(dragStart, dragStart));
+    });
+    canvas.addEventListener('mousemove', (e) => {
+        if (!dragStart) return;
+        showSelection(toCanvasRect(dragStart, toCanvasPoint(e)));
+    });
+    window.addEventListener('mouseup', (e) => {
+        if (!dragStart) return;
+        const rect = toCanvasRect(dragStart, toCanvasPoint(e));
+        suppressClick = e.target === canvas;
+        setPicking(false);
+        showSelection(rect);
+        pickRegion(rect);
+    });
+    // 捕获阶段拦截，先于图片细节面板的 click 处理
+    canvas.addEventListener('click', (e) => {
+        if (picking || suppressClick) {
+            e.stopImmediatePropagation();
+        }
+        suppressClick = false;
+    }, { capture: true });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && picking) {
+            setPicking(false);
+        }
+    });
+
+    syncControls();
+    return { syncControls, applyForCamera, refresh };
+}
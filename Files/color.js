@@ -10,6 +10,8 @@ export let colorElements = {
     exposureValue: null,
     saturationSlider: null,
     saturationValue: null,
+    vibranceSlider: null,
+    vibranceValue: null,
     contrastSlider: null,
     contrastValue: null,
     redTintSlider: null,
@@ -21,6 +23,8 @@ export let colorElements = {
     shadowsValue: null,
     whitesSlider: null,
     whitesValue: null,
+    toneMaskSlider: null,
+    toneMaskValue: null,
     redTintValue: null,
     greenTintValue: null,
     blueTintValue: null
@@ -109,6 +113,8 @@ export function initColorModule(elements) {
     colorElements.exposureValue = elements.exposureValue || document.getElementById('exposure-value');
     colorElements.saturationSlider = elements.saturationSlider || document.getElementById('saturation');
     colorElements.saturationValue = elements.saturationValue || document.getElementById('saturation-value');
+    colorElements.vibranceSlider = elements.vibranceSlider || document.getElementById('vibrance');
+    colorElements.vibranceValue = elements.vibranceValue || document.getElementById('vibrance-value');
     colorElements.contrastSlider = elements.contrastSlider || document.getElementById('contrast');
     colorElements.contrastValue = elements.contrastValue || document.getElementById('contrast-value');
     colorElements.redTintSlider = elements.redTintSlider || document.getElementById('red-tint');
@@ -123,63 +129,131 @@ export function initColorModule(elements) {
     colorElements.shadowsValue = elements.shadowsValue || document.getElementById('shadows-value');
     colorElements.whitesSlider = elements.whitesSlider || document.getElementById('whites');
     colorElements.whitesValue = elements.whitesValue || document.getElementById('whites-value');
+    colorElements.toneMaskSlider = elements.toneMaskSlider || document.getElementById('tone-mask');
+    colorElements.toneMaskValue = elements.toneMaskValue || document.getElementById('tone-mask-value');
 }
 
-// 应用颜色调整到缓存数据
+/**
+ * 判断是否有需要在线性光上进行的调整（白平衡系数、亮度、曝光）
+ * @param {Object} settings - 设置对象
+ * @returns {boolean} 是否需要调用 applyExposureAdjustments
+ */
+export function hasExposureAdjustments(settings) {
+    const userMul = settings.user_mul;
+    const useUserMul = !!userMul && userMul.length === 4 && (userMul[0] !== 1 || userMul[1] !== 1 || userMul[2] !== 1);
+    return useUserMul || (settings.bright || 1.0) !== 1.0 || (settings.exp_shift || 0.0) !== 0;
+}
+
+/**
+ * 应用白平衡系数、亮度和曝光补偿
+ * 这些都是光量的倍数，输入必须是线性光（见 ColorSpace.js），
+ * 在 sRGB 编码值上相乘会同时改变饱和度，并让各通道不均匀地过曝
+ * @param {Float32Array} data - RGBA图像数据（线性光，0-255），原地修改
+ * @param {number} width - 图像宽度
+ * @param {number} height - 图像高度
+ * @param {Object} settings - 设置对象
+ */
+export function applyExposureAdjustments(data, width, height, settings) {
+    if (!hasExposureAdjustments(settings)) {
+        return;
+    }
+    const brightness = settings.bright || 1.0;
+    const exposure = settings.exp_shift || 0.0;
+    const userMul = settings.user_mul && settings.user_mul.length === 4 ? settings.user_mul : [1, 1, 1, 1];
+    
+    // 三种倍数合并为每个通道一个系数；超过 255 的高光留到转换回 sRGB 时再截断
+    const gain = brightness * Math.pow(2, exposure);
+    const gainR = userMul[0] * gain;
+    const gainG = userMul[1] * gain;
+    const gainB = userMul[2] * gain;
+    
+    const dataLength = width * height * 4;
+    for (let i = 0; i < dataLength; i += 4) {
+        data[i] *= gainR;
+        data[i + 1] *= gainG;
+        data[i + 2] *= gainB;
+    }
+}
+
+// 自然饱和度保护的肤色色相范围（度）：中心和半宽
+const SKIN_HUE_CENTER = 25;
+const SKIN_HUE_WIDTH = 25;
+// 肤色中心处自然饱和度的作用只保留这一比例
+const SKIN_PROTECTION = 0.7;
+
+/**
+ * 计算自然饱和度的系数：原本越鲜艳的颜色变化越小，肤色色相附近再减弱
+ * @param {number} r - 红色通道（0-255）
+ * @param {number} g - 绿色通道（0-255）
+ * @param {number} b - 蓝色通道（0-255）
+ * @param {number} amount - 自然饱和度（-1 到 1）
+ * @returns {number} 饱和度系数，1 为不变
+ */
+function vibranceFactor(r, g, b, amount) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    if (max <= 0 || max === min) return 1;
+    const saturation = (max - min) / max;
+    
+    // 色相（度），只用来判断是否接近肤色
+    const chroma = max - min;
+    let hue;
+    if (max === r) {
+        hue = 60 * (((g - b) / chroma + 6) % 6);
+    } else if (max === g) {
+        hue = 60 * ((b - r) / chroma + 2);
+    } else {
+        hue = 60 * ((r - g) / chroma + 4);
+    }
+    let distance = Math.abs(hue - SKIN_HUE_CENTER);
+    distance = Math.min(distance, 360 - distance);
+    const skin = distance < SKIN_HUE_WIDTH ? Math.cos(distance / SKIN_HUE_WIDTH * Math.PI / 2) ** 2 : 0;
+    
+    // 增加时主要作用于低饱和度颜色；降低时所有颜色一起降低
+    const weight = amount > 0 ? 1 - saturation : 1;
+    return 1 + amount * weight * (1 - SKIN_PROTECTION * skin);
+}
+
+/**
+ * 应用对比度、饱和度和自然饱和度调整
+ * 这些调整按人眼感知设计，输入是 sRGB 编码值；曝光和白平衡见 applyExposureAdjustments，
+ * 阴影、高光和白色见 Tone.js
+ * @param {Float32Array|Uint8ClampedArray} data - RGBA图像数据（sRGB，0-255），原地修改
+ * @param {number} width - 图像宽度
+ * @param {number} height - 图像高度
+ * @param {Object} settings - 设置对象
+ */
 export function applyColorAdjustments(data, width, height, settings) {
     // 检查是否有颜色替换历史记录
-    const hasColorReplacements = window.getColorReplaceHistory && window.getColorReplaceHistory().length > 0;
+    // 命令行工具中没有 window，颜色替换不存在
+    const hasColorReplacements = typeof window !== 'undefined' && window.getColorReplaceHistory && window.getColorReplaceHistory().length > 0;
     
     // 获取当前设置 - 优先使用settings对象中的值，然后再回退到DOM滑块获取
-    const brightness = settings.bright || 1.0;
     // 优先使用settings.contrast，如果不存在则从滑块获取
     const contrast = settings.contrast !== undefined ? settings.contrast : parseInt(colorElements.contrastSlider.value);
     // 优先使用settings.user_sat，如果不存在则从滑块获取
     const saturation = settings.user_sat !== undefined ? settings.user_sat : parseInt(colorElements.saturationSlider.value);
-    const exposure = settings.exp_shift || 0.0;
-    const shadows = settings.shadows !== undefined ? settings.shadows : parseInt(colorElements.shadowsSlider.value);
-    
-    // 安全获取温度和色调滑块
-    const tempSlider = document.getElementById('temperature') || document.getElementById('tempSlider');
-    const tintSlider = document.getElementById('tint') || document.getElementById('tintSlider');
-    // 优先使用settings.temperature和settings.tint，如果不存在则从滑块获取
-    const temperature = settings.temperature !== undefined ? settings.temperature : (tempSlider ? parseInt(tempSlider.value) : 0);
-    const tint = settings.tint !== undefined ? settings.tint : (tintSlider ? parseInt(tintSlider.value) : 0);
-    
-    // 检查并应用用户自定义的白平衡系数（红、绿、蓝色调调整）
-    const useUserMul = settings.user_mul && settings.user_mul.length === 4;
+    const vibrance = settings.vibrance || 0;
     
     // 预先计算所有不变的因子，避免在循环内重复计算
     const contrastFactor = contrast !== 0 ? (259 * (contrast + 255)) / (255 * (259 - contrast)) : 1;
-    const exposureFactor = exposure !== 0 ? Math.pow(2, exposure) : 1;
     const saturationFactor = saturation !== 100 ? saturation / 100 : 1;
-    
-    // 获取高光值并检查是否需要应用高光调整
-    const highlights = settings.highlights !== undefined ? settings.highlights : parseInt(colorElements.highlightsSlider.value);
-    // 获取白色值并检查是否需要应用白色调整
-    const whites = settings.whites !== undefined ? settings.whites : parseInt(colorElements.whitesSlider.value);
+    const vibranceAmount = vibrance / 100;
     
     // 标记是否需要进行某种调整，避免不必要的计算
-    const needBrightness = brightness !== 1.0;
     const needContrast = contrast !== 0;
     const needSaturation = saturation !== 100;
-    const needTemperature = temperature !== 0;
-    const needTint = tint !== 0;
-    const needExposure = exposure !== 0;
-    const needShadows = shadows !== 0;
-    const needHighlights = highlights !== 0;
-    const needWhites = whites !== 100; // 白色滑块默认值为100
+    const needVibrance = vibrance !== 0;
     
     // 提前检查是否有任何调整需要应用，如果没有则直接返回
-    if (!needBrightness && !needContrast && !needSaturation && 
-        !needTemperature && !needTint && !needExposure && !useUserMul && !needShadows && !needHighlights && !needWhites) {
+    if (!needContrast && !needSaturation && !needVibrance) {
         return;
     }
     
     // 如果有颜色替换，记录调试信息
     if (hasColorReplacements) {
         console.log('应用颜色调整到包含颜色替换的图像，调整参数:', {
-            brightness, contrast, saturation, exposure, shadows, highlights, whites
+            contrast, saturation, vibrance
         });
     }
     
@@ -195,20 +269,6 @@ export function applyColorAdjustments(data, width, height, settings) {
         let g = data[i + 1];
         let b = data[i + 2];
           
-        // 应用用户自定义的白平衡系数
-        if (useUserMul) {
-            r = min(255, max(0, r * settings.user_mul[0]));
-            g = min(255, max(0, g * settings.user_mul[1]));
-            b = min(255, max(0, b * settings.user_mul[2]));
-        }
-          
-        // 应用亮度调整
-        if (needBrightness) {
-            r = min(255, max(0, r * brightness));
-            g = min(255, max(0, g * brightness));
-            b = min(255, max(0, b * brightness));
-        }
-          
         // 应用对比度
         if (needContrast) {
             r = min(255, max(0, contrastFactor * (r - 128) + 128));
@@ -223,100 +283,14 @@ export function applyColorAdjustments(data, width, height, settings) {
             g = min(255, max(0, gray + saturationFactor * (g - gray)));
             b = min(255, max(0, gray + saturationFactor * (b - gray)));
         }
-          
-        // 应用色温
-        if (needTemperature) {
-            // 优化的色温调整算法
-            if (temperature > 0) {
-                r += temperature;
-                b -= temperature >> 1; // 使用位移运算代替除法
-            } else {
-                b -= temperature;
-                r += temperature >> 1;
-            }
-            r = min(255, max(0, r));
-            b = min(255, max(0, b));
-        }
-          
-        // 应用色调
-        if (needTint) {
-            // 优化的色调调整算法
-            if (tint > 0) {
-                g += tint;
-                r -= tint >> 1;
-            } else {
-                r -= tint;
-                g += tint >> 1;
-            }
-            r = min(255, max(0, r));
-            g = min(255, max(0, g));
-        }
-          
-        // 应用曝光补偿
-        if (needExposure) {
-            r = min(255, max(0, r * exposureFactor));
-            g = min(255, max(0, g * exposureFactor));
-            b = min(255, max(0, b * exposureFactor));
-        }
-          
-        // 应用阴影调整
-        if (needShadows) {
-            // 阴影调整算法 - 只影响暗部区域
-            const shadowThreshold = 64; // 阴影阈值
-            const shadowAdjustment = shadows / 100; // 将阴影值转换为调整系数
-            
-            // 只对低于阈值的像素应用调整
-            if (r < shadowThreshold) {
-                r = min(shadowThreshold, max(0, r + (shadowThreshold - r) * shadowAdjustment));
-            }
-            if (g < shadowThreshold) {
-                g = min(shadowThreshold, max(0, g + (shadowThreshold - g) * shadowAdjustment));
-            }
-            if (b < shadowThreshold) {
-                b = min(shadowThreshold, max(0, b + (shadowThreshold - b) * shadowAdjustment));
-            }
-        }
-        
-        // 应用高光调整
-        if (needHighlights) {
-            // 高光调整算法 - 只影响亮部区域
-            const highlightThreshold = 192; // 高光阈值
-            const highlightAdjustment = highlights / 100; // 将高光值转换为调整系数
-            
-            // 只对高于阈值的像素应用调整
-            if (r > highlightThreshold) {
-                r = max(highlightThreshold, min(255, r + (r - highlightThreshold) * highlightAdjustment));
-            }
-            if (g > highlightThreshold) {
-                g = max(highlightThreshold, min(255, g + (g - highlightThreshold) * highlightAdjustment));
-            }
-            if (b > highlightThreshold) {
-                b = max(highlightThreshold, min(255, b + (b - highlightThreshold) * highlightAdjustment));
-            }
-        }
         
-        // 应用白色调整
-        if (needWhites) {
-            // 白色调整算法 - 只影响最亮的部分
-            const whiteThreshold = 220; // 白色阈值（比高光阈值更高）
-            const whiteAdjustment = whites / 100; // 将白色值转换为调整系数
-            
-            // 只对高于阈值的像素应用调整
-            if (r > whiteThreshold || g > whiteThreshold || b > whiteThreshold) {
-                // 计算亮度
-                const brightness = (r + g + b) / 3;
-                
-                // 仅对接近白色的像素进行调整
-                if (brightness > whiteThreshold) {
-                    // 调整系数：当值大于100时增加亮度，小于100时降低亮度
-                    const adjustFactor = whiteAdjustment;
-                    
-                    // 对RGB通道分别应用调整，保持色彩平衡
-                    r = min(255, r * adjustFactor);
-                    g = min(255, g * adjustFactor);
-                    b = min(255, b * adjustFactor);
-                }
-            }
+        // 应用自然饱和度
+        if (needVibrance) {
+            const factor = vibranceFactor(r, g, b, vibranceAmount);
+            const gray = 0.299 * r + 0.587 * g + 0.114 * b;
+            r = min(255, max(0, gray + factor * (r - gray)));
+            g = min(255, max(0, gray + factor * (g - gray)));
+            b = min(255, max(0, gray + factor * (b - gray)));
         }
           
         // 写回数据
@@ -327,19 +301,33 @@ export function applyColorAdjustments(data, width, height, settings) {
     }
 }
 
-// 更新白平衡系数
-export function updateWhiteBalanceCoefficients(settings) {
-    const redTint = parseInt(colorElements.redTintSlider.value);
-    const greenTint = parseInt(colorElements.greenTintSlider.value);
-    const blueTint = parseInt(colorElements.blueTintSlider.value);
-    
+/**
+ * 将红、绿、蓝色调滑块值转换为 user_mul 白平衡系数
+ * @param {number} redTint - 红色调整 (-100-100)
+ * @param {number} greenTint - 绿色调整 (-100-100)
+ * @param {number} blueTint - 蓝色调整 (-100-100)
+ * @returns {number[]} [R, G, B, G] 四元素系数数组
+ */
+export function tintsToUserMul(redTint, greenTint, blueTint) {
     // 基础值为1.0，调整范围为±100%
     const redMultiplier = 1.0 + (redTint / 100);
     const greenMultiplier = 1.0 + (greenTint / 100);
     const blueMultiplier = 1.0 + (blueTint / 100);
     
     // user_mul 是一个4元素数组，通常用于[R, G, B, G]的调整
-    settings.user_mul = [redMultiplier, greenMultiplier, blueMultiplier, greenMultiplier];
+    return [redMultiplier, greenMultiplier, blueMultiplier, greenMultiplier];
+}
+
+// 更新白平衡系数
+export function updateWhiteBalanceCoefficients(settings) {
+    const redTint = parseInt(colorElements.redTintSlider.value);
+    const greenTint = parseInt(colorElements.greenTintSlider.value);
+    const blueTint = parseInt(colorElements.blueTintSlider.value);
+    
+    settings.user_mul = tintsToUserMul(redTint, greenTint, blueTint);
+    settings.redTint = redTint;
+    settings.greenTint = greenTint;
+    settings.blueTint = blueTint;
 }
 
 // 应用对比度调整
@@ -393,7 +381,15 @@ export function registerColorEventListeners(settings, debouncedImageUpdate, debo
         debouncedImageUpdate();
     });
     
+    colorElements.vibranceSlider.addEventListener('input', (e) => {
+        settings.vibrance = parseInt(e.target.value);
+        colorElements.vibranceValue.textContent = settings.vibrance;
+        // 使用防抖处理的图像更新
+        debouncedImageUpdate();
+    });
+    
     colorElements.contrastSlider.addEventListener('input', (e) => {
+        settings.contrast = parseInt(e.target.value);
         colorElements.contrastValue.textContent = e.target.value;
         // 使用防抖处理的图像更新
         debouncedImageUpdate();
@@ -420,6 +416,13 @@ export function registerColorEventListeners(settings, debouncedImageUpdate, debo
         debouncedImageUpdate();
     });
     
+    // 阴影、高光、白色蒙版的平滑程度
+    colorElements.toneMaskSlider.addEventListener('input', function() {
+        settings.toneMaskSmoothing = parseInt(this.value);
+        colorElements.toneMaskValue.textContent = this.value;
+        debouncedImageUpdate();
+    });
+    
     // 颜色滑块事件监听 - 修复为立即更新值显示并触发图像更新
     colorElements.redTintSlider.addEventListener('input', (e) => {
         colorElements.redTintValue.textContent = e.target.value;
@@ -3,6 +3,8 @@
  * 处理PNG和JPEG格式的图像导出功能
  */
 
+import { embedIccInPng, embedIccInJpeg } from './IccProfile.js';
+
 /**
  * 导出图像为指定格式
  * @param {HTMLCanvasElement} canvas - 要导出的画布元素
@@ -85,6 +87,45 @@ export function exportJPEG(canvas, quality = 0.9, filename = 'exported-image') {
     return exportImage(canvas, 'jpeg', quality, filename);
 }
 
+/**
+ * 导出嵌入 ICC 配置文件的图像。像素按 ICC 描述的色彩空间编码，直接写入文件，
+ * 不经过主画布（主画布上是转换到 sRGB 的显示结果）
+ * @param {ImageData} imageData - 按输出色彩空间编码的图像数据
+ * @param {string} format - 导出格式 ('png' 或 'jpeg')
+ * @param {number} quality - 图像质量 (0-1，仅对JPEG有效)
+ * @param {string} filename - 文件名（不含扩展名）
+ * @param {Uint8Array} iccProfile - 要嵌入的 ICC 文件内容
+ * @returns {Promise<void>}
+ */
+export async function exportTaggedImage(imageData, format, quality, filename, iccProfile) {
+    const isPng = format.toLowerCase() === 'png';
+    // 画布和像素数据都按 sRGB 标记，putImageData 和编码时不会改动数值
+    const canvas = document.createElement('canvas');
+    canvas.width = imageData.width;
+    canvas.height = imageData.height;
+    canvas.getContext('2d', { colorSpace: 'srgb' }).putImageData(imageData, 0, 0);
+
+    const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob(result => result ? resolve(result) : reject(new Error('图像编码失败')),
+            isPng ? 'image/png' : 'image/jpeg', Math.max(0, Math.min(1, quality)));
+    });
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const tagged = isPng ? await embedIccInPng(bytes, iccProfile) : embedIccInJpeg(bytes, iccProfile);
+
+    const fullFilename = `${filename}.${isPng ? 'png' : 'jpg'}`;
+    const url = URL.createObjectURL(new Blob([tagged], { type: blob.type }));
+    const link = document.createElement('a');
+    link.download = fullFilename;
+    link.href = url;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // 下载开始后再释放
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    console.log(`图像已导出: ${fullFilename}`);
+}
+
 /**
  * 批量导出多种格式
  * @param {HTMLCanvasElement} canvas - 要导出的画布元素
@@ -0,0 +1,147 @@
+import { deflateSync } from 'node:zlib';
+
+/**
+ * Quantize a float RGBA working image (0-255 scale, see toRgbaImageData in
+ * Files/Basic.js) to interleaved RGB samples of the given bit depth
+ */
+export function toRgbSamples(rgba, width, height, bits) {
+	let pixelCount = width * height;
+	let rgb = bits == 16 ? new Uint16Array(pixelCount * 3) : new Uint8Array(pixelCount * 3);
+	let scale = bits == 16 ? 257 : 1;
+	let max = bits == 16 ? 65535 : 255;
+	for(let i = 0, j = 0; i < pixelCount * 4; i += 4, j += 3) {
+		for(let c = 0; c < 3; c++) {
+			rgb[j + c] = Math.min(max, Math.max(0, Math.round(rgba[i + c] * scale)));
+		}
+	}
+	return rgb;
+}
+
+let crcTable;
+
+function crc32(bytes, crc = 0xFFFFFFFF) {
+	if(!crcTable) {
+		crcTable = new Uint32Array(256);
+		for(let n = 0; n < 256; n++) {
+			let c = n;
+			for(let k = 0; k < 8; k++) {
+				c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+			}
+			crcTable[n] = c;
+		}
+	}
+	for(let i = 0; i < bytes.length; i++) {
+		crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+	}
+	return crc;
+}
+
+function pngChunk(type, data) {
+	let chunk = Buffer.alloc(12 + data.length);
+	chunk.writeUInt32BE(data.length, 0);
+	chunk.write(type, 4, 'latin1');
+	Buffer.from(data.buffer, data.byteOffset, data.length).copy(chunk, 8);
+	chunk.writeUInt32BE((crc32(chunk.subarray(4, 8 + data.length)) ^ 0xFFFFFFFF) >>> 0, 8 + data.length);
+	return chunk;
+}
+
+/**
+ * Encode RGB samples from toRgbSamples() as an 8 or 16-bit PNG
+ */
+export function encodePNG(rgb, width, height, bits) {
+	let bytesPerPixel = bits == 16 ? 6 : 3;
+	let rowLength = width * bytesPerPixel;
+	// Every row starts with filter type 0 (none); PNG samples are big-endian
+	let raw = Buffer.alloc((rowLength + 1) * height);
+	for(let y = 0; y < height; y++) {
+		let offset = y * (rowLength + 1) + 1;
+		if(bits == 16) {
+			for(let i = 0; i < width * 3; i++) {
+				raw.writeUInt16BE(rgb[y * width * 3 + i], offset + i * 2);
+			}
+		} else {
+			raw.set(rgb.subarray(y * rowLength, (y + 1) * rowLength), offset);
+		}
+	}
+
+	let header = Buffer.alloc(13);
+	header.writeUInt32BE(width, 0);
+	header.writeUInt32BE(height, 4);
+	header[8] = bits;
+	header[9] = 2; // truecolor RGB
+	return Buffer.concat([
+		Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+		pngChunk('IHDR', header),
+		pngChunk('IDAT', deflateSync(raw)),
+		pngChunk('IEND', Buffer.alloc(0)),
+	]);
+}
+
+/**
+ * Encode RGB samples from toRgbSamples() as an uncompressed 8 or 16-bit
+ * baseline TIFF (little-endian, one strip), with iccProfile (bytes) embedded if given
+ */
+export function encodeTIFF(rgb, width, height, bits, iccProfile) {
+	let entries = [
+		// [tag, type (3 = SHORT, 4 = LONG), count, value]
+		[256, 4, 1, width], // ImageWidth
+		[257, 4, 1, height], // ImageLength
+		[258, 3, 3, 'bitsPerSample'], // BitsPerSample
+		[259, 3, 1, 1], // Compression: none
+		[262, 3, 1, 2], // PhotometricInterpretation: RGB
+		[273, 4, 1, 'pixels'], // StripOffsets
+		[277, 3, 1, 3], // SamplesPerPixel
+		[278, 4, 1, height], // RowsPerStrip
+		[279, 4, 1, rgb.byteLength], // StripByteCounts
+		[284, 3, 1, 1], // PlanarConfiguration: chunky
+	];
+	if(iccProfile) {
+		entries.push([34675, 7, iccProfile.length, 'icc']); // ICC profile, UNDEFINED bytes
+	}
+	let ifdOffset = 8;
+	let ifdLength = 2 + entries.length * 12 + 4;
+	let bitsOffset = ifdOffset + ifdLength;
+	let iccOffset = bitsOffset + 6;
+	// Values start on a word boundary
+	let pixelOffset = iccOffset + (iccProfile ? iccProfile.length + iccProfile.length % 2 : 0);
+	let file = Buffer.alloc(pixelOffset + rgb.byteLength);
+
+	file.write('II', 0, 'latin1');
+	file.writeUInt16LE(42, 2);
+	file.writeUInt32LE(ifdOffset, 4);
+	file.writeUInt16LE(entries.length, ifdOffset);
+	entries.forEach(([tag, type, count, value], i) => {
+		let offset = ifdOffset + 2 + i * 12;
+		if(value == 'bitsPerSample') {
+			value = bitsOffset;
+		} else if(value == 'pixels') {
+			value = pixelOffset;
+		} else if(value == 'icc') {
+			value = iccOffset;
+		}
+		file.writeUInt16LE(tag, offset);
+		file.writeUInt16LE(type, offset + 2);
+		file.writeUInt32LE(count, offset + 4);
+		if(type == 3 && count == 1) {
+			file.writeUInt16LE(value, offset + 8);
+		} else {
+			file.writeUInt32LE(value, offset + 8);
+		}
+	});
+	file.writeUInt32LE(0, ifdOffset + ifdLength - 4); // no next IFD
+	for(let c = 0; c < 3; c++) {
+		file.writeUInt16LE(bits, bitsOffset + c * 2);
+	}
+	if(iccProfile) {
+		file.set(iccProfile, iccOffset);
+	}
+
+	if(bits == 16) {
+		for(let i = 0; i < rgb.length; i++) {
+			file.writeUInt16LE(rgb[i], pixelOffset + i * 2);
+		}
+	} else {
+		file.set(rgb, pixelOffset);
+	}
+	return file;
+}
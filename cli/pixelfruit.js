@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+// Batch RAW conversion without a browser: decodes with the same WASM LibRaw
+// as the web app and runs the same color/detail/face modules (Files/Pipeline.js).
+// Needs Node.js >= 20.19 (ES module syntax detection; the repo has no package.json).
+// JPEG output needs a libraw.wasm with encodeJpeg (USE_LIBJPEG, see the makefile).
+// Files in Adobe RGB, ProPhoto RGB or Display P3 (recipe output_color 2, 4, 7) carry an ICC profile.
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { defaultSettings, normalizeSetting, toLibRawParams, toLegacyLibRawParams } from '../settings.js';
+import { defaultFilterPresets, presetToSettings } from '../Files/Filter.js';
+import { toRgbaImageData } from '../Files/Basic.js';
+import { applyRenderPipeline } from '../Files/Pipeline.js';
+import { resolveWhiteBalance } from '../Files/WhiteBalance.js';
+import { parseLutText, registerLut } from '../Files/LUT.js';
+import { OUTPUT_SPACES, imageToOutput } from '../Files/ColorSpace.js';
+import { createIccProfile, embedIccInPng, embedIccInJpeg } from '../Files/IccProfile.js';
+import { toLibRawError, exceptionDetails } from '../errors.js';
+import { toRgbSamples, encodePNG, encodeTIFF } from './encoders.js';
+
+const USAGE = `Usage: node cli/pixelfruit.js [options] <raw files...>
+
+Options:
+  -r, --recipe <file>     recipe JSON; keys as in the app's settings (settings.js)
+                          and/or Filter.js presets (red_tint, ...), plus an
+                          optional "preset" naming a built-in preset to start from
+  -p, --preset <name>     built-in preset to start from (overrides the recipe's)
+  -f, --format <format>   png | jpeg | tiff (default: png)
+  -b, --bits <8|16>       bit depth for png/tiff (default: 8 for png, 16 for tiff)
+  -q, --quality <1-100>   JPEG quality (default: 90)
+  -o, --out <dir>         output directory (default: next to each input)
+      --lut-dir <dir>     where the recipe's "lut" file is read from
+                          (default: the recipe's directory)
+      --list-presets      print the built-in preset names
+  -h, --help              show this help`;
+
+const EXTENSIONS = { png: '.png', jpeg: '.jpg', tiff: '.tif' };
+
+/**
+ * Build a full settings object from defaults, an optional preset and the
+ * recipe's own keys. Unknown or invalid values are reported and fall back
+ * to their defaults.
+ */
+function recipeToSettings(recipe = {}, presetName = recipe.preset) {
+	let defaults = defaultSettings();
+	let settings = { ...defaults };
+	let warnings = [];
+
+	if(presetName) {
+		let preset = defaultFilterPresets[presetName];
+		if(!preset) {
+			throw new Error(`Unknown preset "${presetName}" (available: ${Object.keys(defaultFilterPresets).join(', ')})`);
+		}
+		Object.assign(settings, presetToSettings(preset));
+	}
+	let { preset, ...values } = recipe;
+	Object.assign(settings, presetToSettings(values));
+
+	for(let [key, value] of Object.entries(settings)) {
+		let normalized = normalizeSetting(key, value, warnings);
+		if(normalized !== undefined) {
+			settings[key] = normalized;
+		} else if(key in defaults) {
+			settings[key] = defaults[key];
+		} else {
+			delete settings[key];
+		}
+	}
+	return { settings, warnings };
+}
+
+/**
+ * Read the 3D LUT a recipe names and make it available to the pipeline.
+ * The app keeps imported LUTs in the browser, so here they come from disk.
+ */
+async function loadRecipeLut(name, dir) {
+	if(/\.png$/i.test(name)) {
+		throw new Error(`${name}: Hald CLUT images can only be used in the app; export the look as .cube or .3dl`);
+	}
+	let bytes = new Uint8Array(await readFile(path.join(dir, name)));
+	registerLut(name, parseLutText(name, bytes));
+}
+
+async function loadLibRaw() {
+	let LibRawModule;
+	try {
+		({ default: LibRawModule } = await import('../libraw.js'));
+		// Hand over the wasm bytes, so builds made for the web only don't try to fetch() a file: URL
+		return await LibRawModule({ wasmBinary: await readFile(new URL('../libraw.wasm', import.meta.url)) });
+	} catch (err) {
+		throw new Error(`Could not load libraw.js in Node (${err?.message ?? err}). ` +
+			'Rebuild it with compileLibraw.sh so ENVIRONMENT includes "node".');
+	}
+}
+
+function supports(module, fn) {
+	return typeof module.LibRaw.prototype[fn] == 'function';
+}
+
+async function convert(module, file, settings, options) {
+	let bytes = new Uint8Array(await readFile(file));
+	let params = toLibRawParams(settings).params;
+	// Builds without reprocess() predate LibRaw's own param names
+	let legacy = !supports(module, 'reprocess');
+	let raw = new module.LibRaw();
+	let image;
+	try {
+		raw.open(bytes, legacy ? toLegacyLibRawParams(params) : params);
+		// Kelvin white balance needs this camera's matrix, so it can only be
+		// turned into multipliers once the file is open
+		let userMul = resolveWhiteBalance(settings, raw.metadata(true));
+		// Auto and camera white balance would override user_mul inside LibRaw
+		let manualWb = { user_mul: userMul, use_auto_wb: 0, use_camera_wb: 0 };
+		if(!userMul) {
+			image = raw.imageData();
+		} else if(!legacy) {
+			image = raw.reprocess(manualWb);
+		} else {
+			// Builds without reprocess() process an open file only once, so open it again
+			raw.delete();
+			raw = new module.LibRaw();
+			raw.open(bytes, toLegacyLibRawParams({ ...params, ...manualWb }));
+			image = raw.imageData();
+		}
+	} catch (err) {
+		// Builds without takeLastError() throw bare C++ exception pointers
+		let details = raw.takeLastError ? raw.takeLastError() : typeof err == 'number' ? exceptionDetails(module, err) : undefined;
+		if(details) {
+			throw toLibRawError(details);
+		}
+		throw typeof err == 'number' ? new Error('LibRaw could not decode the file') : err;
+	} finally {
+		raw.delete();
+	}
+	let { data, width, height } = toRgbaImageData(image);
+	applyRenderPipeline(data, width, height, settings);
+	// Other color spaces than sRGB get their own transfer curve and an embedded ICC profile
+	let iccProfile = settings.output_color == 1 ? null : createIccProfile(settings.output_color);
+	if(iccProfile) {
+		imageToOutput(data, settings.output_color);
+	}
+
+	let output;
+	if(options.format == 'jpeg') {
+		output = module.encodeJpeg(toRgbSamples(data, width, height, 8), width, height, options.quality);
+		if(iccProfile) {
+			output = embedIccInJpeg(output, iccProfile);
+		}
+	} else if(options.format == 'png') {
+		output = encodePNG(toRgbSamples(data, width, height, options.bits), width, height, options.bits);
+		if(iccProfile) {
+			output = await embedIccInPng(output, iccProfile);
+		}
+	} else {
+		output = encodeTIFF(toRgbSamples(data, width, height, options.bits), width, height, options.bits, iccProfile);
+	}
+
+	let dir = options.out ?? path.dirname(file);
+	let target = path.join(dir, path.basename(file, path.extname(file)) + EXTENSIONS[options.format]);
+	await mkdir(dir, { recursive: true });
+	await writeFile(target, output);
+	return target;
+}
+
+async function main(argv) {
+	let { values, positionals } = parseArgs({
+		args: argv,
+		allowPositionals: true,
+		options: {
+			recipe: { type: 'string', short: 'r' },
+			preset: { type: 'string', short: 'p' },
+			format: { type: 'string', short: 'f', default: 'png' },
+			bits: { type: 'string', short: 'b' },
+			quality: { type: 'string', short: 'q', default: '90' },
+			out: { type: 'string', short: 'o' },
+			'lut-dir': { type: 'string' },
+			'list-presets': { type: 'boolean' },
+			help: { type: 'boolean', short: 'h' },
+		},
+	});
+
+	if(values.help) {
+		console.log(USAGE);
+		return 0;
+	}
+	if(values['list-presets']) {
+		console.log(Object.keys(defaultFilterPresets).join('\n'));
+		return 0;
+	}
+	if(!positionals.length) {
+		console.error(USAGE);
+		return 2;
+	}
+
+	let format = values.format.toLowerCase().replace(/^jpg$/, 'jpeg').replace(/^tif$/, 'tiff');
+	if(!EXTENSIONS[format]) {
+		throw new Error(`Unknown format "${values.format}" (png, jpeg or tiff)`);
+	}
+	let bits = Number(values.bits ?? (format == 'tiff' ? 16 : 8));
+	if(bits != 8 && bits != 16 || format == 'jpeg' && bits != 8) {
+		throw new Error(`${format} can't be written with ${bits} bits`);
+	}
+	let options = { format, bits, quality: Number(values.quality), out: values.out };
+
+	let recipe = values.recipe ? JSON.parse(await readFile(values.recipe, 'utf8')) : {};
+	let { settings, warnings } = recipeToSettings(recipe, values.preset ?? recipe.preset);
+	for(let warning of warnings) {
+		console.error(`warning: ${warning}`);
+	}
+	if(!OUTPUT_SPACES[settings.output_color]) {
+		console.error(`warning: no ICC profile for output_color ${settings.output_color}, the files are written without one`);
+	}
+	if(settings.lut) {
+		await loadRecipeLut(settings.lut, values['lut-dir'] ?? (values.recipe ? path.dirname(values.recipe) : '.'));
+	}
+
+	let module = await loadLibRaw();
+	if(format == 'jpeg' && typeof module.encodeJpeg != 'function') {
+		throw new Error('This libraw.wasm was built without encodeJpeg (see the makefile); use --format png or tiff');
+	}
+	let failures = 0;
+	for(let file of positionals) {
+		try {
+			let target = await convert(module, file, settings, options);
+			console.error(`${file} -> ${target}`);
+		} catch (err) {
+			failures++;
+			console.error(`${file}: ${err?.message ?? err}`);
+		}
+	}
+	return failures ? 1 : 0;
+}
+
+// Exit explicitly: the pthread workers of the WASM module keep Node alive otherwise
+main(process.argv.slice(2)).then(code => process.exit(code), err => {
+	console.error(err?.message ?? err);
+	process.exit(2);
+});
@@ -75,9 +75,11 @@ emcc \
   -s EXPORT_ES6=1 \
   -s DISABLE_EXCEPTION_CATCHING=0 \
   -s ALLOW_MEMORY_GROWTH=1 \
+  -s FORCE_FILESYSTEM=1 \
+  -s EXPORTED_RUNTIME_METHODS="['FS']" \
   -s INITIAL_MEMORY=256MB \
   -s USE_PTHREADS=1 \
-  -s ENVIRONMENT="web,worker" \
+  -s ENVIRONMENT="web,worker,node" \
   -msimd128 \
   -O3 -flto -pthread \
   libraw_wrapper.cpp \
@@ -0,0 +1,119 @@
+// Finds the camera's JPEG preview in a RAW file without LibRaw, for libraw.wasm
+// builds that have no thumbnail() binding. Handles TIFF-based formats (CR2, NEF,
+// ARW, DNG, PEF, RW2, ...) and RAF; CR3 and previews hidden in maker notes are not found.
+
+const MAX_IFDS = 64;
+
+// Width, height and components of a baseline or progressive JPEG; null for
+// anything else, e.g. the lossless JPEG some formats store the raw data in
+function jpegSize(bytes, start, end) {
+	if(bytes[start] != 0xFF || bytes[start + 1] != 0xD8) {
+		return null;
+	}
+	let view = new DataView(bytes.buffer, bytes.byteOffset);
+	let offset = start + 2;
+	while(offset + 9 < end) {
+		if(bytes[offset] != 0xFF) {
+			return null;
+		}
+		let marker = bytes[offset + 1];
+		if(marker == 0xFF) { // fill byte
+			offset++;
+			continue;
+		}
+		if(marker == 0xC0 || marker == 0xC1 || marker == 0xC2) { // SOF0, SOF1, SOF2
+			return {
+				height: view.getUint16(offset + 5),
+				width: view.getUint16(offset + 7),
+				colors: bytes[offset + 9],
+			};
+		}
+		if(marker >= 0xC3 && marker <= 0xCF && marker != 0xC4 && marker != 0xC8 && marker != 0xCC || marker == 0xDA) {
+			// Another frame type, or scan data before any frame header
+			return null;
+		}
+		offset += 2 + view.getUint16(offset + 2);
+	}
+	return null;
+}
+
+// Byte ranges of every JPEG the IFD chain starting at offset points to, including SubIFDs
+function tiffJpegRanges(bytes, view, little, offset, ranges, visited) {
+	while(offset && offset + 2 <= bytes.length && !visited.has(offset) && visited.size < MAX_IFDS) {
+		visited.add(offset);
+		let count = view.getUint16(offset, little);
+		if(offset + 2 + count * 12 + 4 > bytes.length) {
+			return;
+		}
+		let tags = new Map();
+		for(let i = 0; i < count; i++) {
+			let entry = offset + 2 + i * 12;
+			let type = view.getUint16(entry + 2, little);
+			let valueCount = view.getUint32(entry + 4, little);
+			// SHORTs fill the first half of the value field; the other tags read here are LONGs or offsets
+			let value = type == 3 ? view.getUint16(entry + 8, little) : view.getUint32(entry + 8, little);
+			tags.set(view.getUint16(entry, little), {count: valueCount, value});
+		}
+
+		// JPEGInterchangeFormat / JPEGInterchangeFormatLength
+		if(tags.has(0x201) && tags.has(0x202)) {
+			ranges.push([tags.get(0x201).value, tags.get(0x202).value]);
+		}
+		// A single JPEG-compressed strip (old-style JPEG, JPEG, or DNG's lossy previews)
+		let compression = tags.get(0x103)?.value;
+		if((compression == 6 || compression == 7) && tags.get(0x111)?.count == 1 && tags.has(0x117)) {
+			ranges.push([tags.get(0x111).value, tags.get(0x117).value]);
+		}
+		// Panasonic's JpgFromRaw, stored as an UNDEFINED value
+		if(tags.has(0x2E)) {
+			ranges.push([tags.get(0x2E).value, tags.get(0x2E).count]);
+		}
+		// SubIFDs
+		let subIfds = tags.get(0x14A);
+		if(subIfds) {
+			for(let i = 0; i < Math.min(subIfds.count, MAX_IFDS); i++) {
+				let subOffset = subIfds.count == 1 ? subIfds.value : subIfds.value + i * 4;
+				if(subOffset + 4 > bytes.length) {
+					break;
+				}
+				tiffJpegRanges(bytes, view, little, subIfds.count == 1 ? subOffset : view.getUint32(subOffset, little), ranges, visited);
+			}
+		}
+		offset = view.getUint32(offset + 2 + count * 12, little);
+	}
+}
+
+/**
+ * The largest JPEG preview in the file, shaped like the result of thumbnail()
+ * in libraw_wrapper.cpp ({type: 1, width, height, colors, bits, dataSize, data}),
+ * or null if there is none. data is a copy, so it can be transferred.
+ */
+export function findEmbeddedJpeg(bytes) {
+	let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	let ranges = [];
+	let order = String.fromCharCode(bytes[0], bytes[1]);
+	if(bytes.length > 8 && (order == 'II' || order == 'MM')) {
+		let little = order == 'II';
+		tiffJpegRanges(bytes, view, little, view.getUint32(4, little), ranges, new Set());
+	} else if(bytes.length > 92 && String.fromCharCode(...bytes.subarray(0, 15)) == 'FUJIFILMCCD-RAW') {
+		ranges.push([view.getUint32(84), view.getUint32(88)]);
+	}
+
+	let best = null;
+	for(let [start, length] of ranges) {
+		let end = start + length;
+		if(!length || end > bytes.length) {
+			continue;
+		}
+		let size = jpegSize(bytes, start, end);
+		if(size && (!best || size.width * size.height > best.width * best.height)) {
+			best = {...size, start, end};
+		}
+	}
+	if(!best) {
+		return null;
+	}
+	let data = bytes.slice(best.start, best.end);
+	// LibRaw_image_formats: 1 = JPEG
+	return {type: 1, width: best.width, height: best.height, colors: best.colors, bits: 8, dataSize: data.length, data};
+}
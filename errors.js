@@ -0,0 +1,126 @@
+// LibRaw return codes (enum LibRaw_errors in libraw_const.h)
+export const LIBRAW_ERROR_CODES = {
+	LIBRAW_UNSPECIFIED_ERROR: -1,
+	LIBRAW_FILE_UNSUPPORTED: -2,
+	LIBRAW_REQUEST_FOR_NONEXISTENT_IMAGE: -3,
+	LIBRAW_OUT_OF_ORDER_CALL: -4,
+	LIBRAW_NO_THUMBNAIL: -5,
+	LIBRAW_UNSUPPORTED_THUMBNAIL: -6,
+	LIBRAW_INPUT_CLOSED: -7,
+	LIBRAW_NOT_IMPLEMENTED: -8,
+	LIBRAW_REQUEST_FOR_NONEXISTENT_THUMBNAIL: -9,
+	LIBRAW_UNSUFFICIENT_MEMORY: -100007,
+	LIBRAW_DATA_ERROR: -100008,
+	LIBRAW_IO_ERROR: -100009,
+	LIBRAW_CANCELLED_BY_CALLBACK: -100010,
+	LIBRAW_BAD_CROP: -100011,
+	LIBRAW_TOO_BIG: -100012,
+	LIBRAW_MEMPOOL_OVERFLOW: -100013,
+};
+
+const CODE_NAMES = Object.fromEntries(Object.entries(LIBRAW_ERROR_CODES).map(([name, code])=>[code, name]));
+
+// What libraw_strerror() says for each code, for builds that can't be asked
+const CODE_MESSAGES = {
+	[LIBRAW_ERROR_CODES.LIBRAW_UNSPECIFIED_ERROR]: 'Unspecified error',
+	[LIBRAW_ERROR_CODES.LIBRAW_FILE_UNSUPPORTED]: 'Unsupported file format or not RAW file',
+	[LIBRAW_ERROR_CODES.LIBRAW_REQUEST_FOR_NONEXISTENT_IMAGE]: 'Request for nonexisting image number',
+	[LIBRAW_ERROR_CODES.LIBRAW_OUT_OF_ORDER_CALL]: 'Out of order call of libraw function',
+	[LIBRAW_ERROR_CODES.LIBRAW_NO_THUMBNAIL]: 'No thumbnail in file',
+	[LIBRAW_ERROR_CODES.LIBRAW_UNSUPPORTED_THUMBNAIL]: 'Unsupported thumbnail format',
+	[LIBRAW_ERROR_CODES.LIBRAW_INPUT_CLOSED]: 'No input stream, or input stream closed',
+	[LIBRAW_ERROR_CODES.LIBRAW_NOT_IMPLEMENTED]: 'Decoder not implemented for this data format',
+	[LIBRAW_ERROR_CODES.LIBRAW_REQUEST_FOR_NONEXISTENT_THUMBNAIL]: 'Request for nonexisting thumbnail number',
+	[LIBRAW_ERROR_CODES.LIBRAW_UNSUFFICIENT_MEMORY]: 'Unsufficient memory',
+	[LIBRAW_ERROR_CODES.LIBRAW_DATA_ERROR]: 'Corrupted data or unexpected EOF',
+	[LIBRAW_ERROR_CODES.LIBRAW_IO_ERROR]: 'Input/output error',
+	[LIBRAW_ERROR_CODES.LIBRAW_CANCELLED_BY_CALLBACK]: 'Cancelled by user callback',
+	[LIBRAW_ERROR_CODES.LIBRAW_BAD_CROP]: 'Bad crop box',
+	[LIBRAW_ERROR_CODES.LIBRAW_TOO_BIG]: 'Image too big for processing',
+	[LIBRAW_ERROR_CODES.LIBRAW_MEMPOOL_OVERFLOW]: 'Libraw internal mempool overflowed',
+};
+
+// The LibRaw calls named in the exceptions of older builds, and the stage each belongs to
+const CALL_STAGES = {open_buffer: 'open', unpack: 'unpack', dcraw_process: 'process'};
+
+/**
+ * A failed LibRaw call. Besides the message it carries:
+ * - code: LibRaw return code, codeName: its LIBRAW_* name
+ * - stage: the step that failed ('open', 'unpack', 'process', 'image' or 'thumbnail')
+ * - make/model: the camera, when LibRaw got far enough to identify it
+ */
+export class LibRawError extends Error {
+	constructor(message, {code, stage, make, model}={}) {
+		super(message);
+		this.name = new.target.name;
+		this.code = code;
+		this.codeName = CODE_NAMES[code] ?? 'LIBRAW_UNKNOWN_ERROR';
+		this.stage = stage;
+		this.make = make;
+		this.model = model;
+	}
+
+	// "Make Model" or undefined
+	get camera() {
+		return [this.make, this.model].filter(Boolean).join(' ') || undefined;
+	}
+}
+
+// The file format or camera model isn't supported by this LibRaw build
+export class LibRawUnsupportedError extends LibRawError {}
+// The file is damaged or truncated
+export class LibRawDataError extends LibRawError {}
+// Reading the file failed
+export class LibRawIOError extends LibRawError {}
+// The WASM heap couldn't hold the image
+export class LibRawMemoryError extends LibRawError {}
+// The progress handler stopped the call, see the signal option of LibRaw calls
+export class LibRawCancelledError extends LibRawError {}
+
+const ERROR_CLASSES = {
+	[LIBRAW_ERROR_CODES.LIBRAW_FILE_UNSUPPORTED]: LibRawUnsupportedError,
+	[LIBRAW_ERROR_CODES.LIBRAW_NOT_IMPLEMENTED]: LibRawUnsupportedError,
+	[LIBRAW_ERROR_CODES.LIBRAW_DATA_ERROR]: LibRawDataError,
+	[LIBRAW_ERROR_CODES.LIBRAW_IO_ERROR]: LibRawIOError,
+	[LIBRAW_ERROR_CODES.LIBRAW_INPUT_CLOSED]: LibRawIOError,
+	[LIBRAW_ERROR_CODES.LIBRAW_UNSUFFICIENT_MEMORY]: LibRawMemoryError,
+	[LIBRAW_ERROR_CODES.LIBRAW_TOO_BIG]: LibRawMemoryError,
+	[LIBRAW_ERROR_CODES.LIBRAW_MEMPOOL_OVERFLOW]: LibRawMemoryError,
+	[LIBRAW_ERROR_CODES.LIBRAW_CANCELLED_BY_CALLBACK]: LibRawCancelledError,
+};
+
+/**
+ * Build the matching LibRawError subclass from the details takeLastError()
+ * returns in the worker: {code, stage, message, make, model}
+ */
+export function toLibRawError(details) {
+	let ErrorClass = ERROR_CLASSES[details.code] ?? LibRawError;
+	let camera = [details.make, details.model].filter(Boolean).join(' ');
+	let message = `LibRaw ${details.stage} failed: ${details.message}${camera ? ` (${camera})` : ''}`;
+	return new ErrorClass(message, details);
+}
+
+/**
+ * The details takeLastError() would give, for a libraw.wasm built without it.
+ * Such builds throw a bare pointer to the C++ exception; a std::runtime_error
+ * keeps its message ("LibRaw: unpack() failed with code -100008") right after
+ * the vtable pointer. module is the Emscripten module, for its heap. Resolves
+ * to undefined for anything that isn't a failed LibRaw call.
+ */
+export function exceptionDetails(module, pointer) {
+	let heap = module.HEAPU8;
+	let text = module.HEAPU32?.[(pointer + 4) >> 2];
+	if(!heap || !text || text >= heap.length) {
+		return undefined;
+	}
+	// slice() copies out of the shared heap of threaded builds, which TextDecoder can't read
+	let bytes = heap.slice(text, Math.min(heap.length, text + 256));
+	let length = bytes.indexOf(0);
+	let message = new TextDecoder().decode(bytes.subarray(0, length < 0 ? 0 : length));
+	let match = /^LibRaw: (\w+)\(\) failed with code (-?\d+)$/.exec(message);
+	if(!match) {
+		return undefined;
+	}
+	let code = Number(match[2]);
+	return {code, stage: CALL_STAGES[match[1]] ?? match[1], message: CODE_MESSAGES[code] ?? `error ${code}`};
+}
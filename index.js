@@ -1,39 +1,206 @@
+import { toLibRawParams } from './settings.js';
+import { toLibRawError } from './errors.js';
+
+export * from './errors.js';
+
+// LibRaw progress stages (enum LibRaw_progress) grouped into the coarse steps shown to users
+const PROGRESS_STAGES = {
+	open: 0x1 | 0x2 | 0x4, // OPEN, IDENTIFY, SIZE_ADJUST
+	unpack: 0x8 | 0x10 | 0x20 | 0x40 | 0x80, // LOAD_RAW, RAW2_IMAGE, REMOVE_ZEROES, BAD_PIXELS, DARK_FRAME
+	demosaic: 0x100 | 0x200 | 0x400 | 0x800 | 0x1000 | 0x2000 | 0x4000, // FOVEON_INTERPOLATE ... HIGHLIGHTS
+	convert: 0x8000 | 0x10000 | 0x20000 | 0x40000 | 0x80000, // FUJI_ROTATE, FLIP, APPLY_PROFILE, CONVERT_RGB, STRETCH
+	thumbnail: 0x10000000, // THUMB_LOAD
+};
+
+function progressStage(stage) {
+	return Object.keys(PROGRESS_STAGES).find(name=>PROGRESS_STAGES[name] & stage) || 'unknown';
+}
+
+// Request ids and instance handles are shared by a LibRaw and its forks, so they
+// have to stay unique across every instance talking to the same worker
+let nextRequestId = 1;
+let nextHandle = 1;
+
+// Map UI settings (see settings.js) onto LibRaw params, reporting the ones that can't be used
+function libRawParams(settings) {
+	let {params, warnings} = toLibRawParams(settings);
+	for(let warning of warnings) {
+		console.warn(`LibRaw settings: ${warning}`);
+	}
+	return params;
+}
+
+// Bytes of a File/Blob, ArrayBuffer, typed array or text
+async function readSource(source) {
+	if(typeof source == 'string') {
+		return new TextEncoder().encode(source);
+	}
+	if(typeof Blob == 'function' && source instanceof Blob) {
+		return new Uint8Array(await source.arrayBuffer());
+	}
+	if(ArrayBuffer.isView(source)) {
+		return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+	}
+	return new Uint8Array(source);
+}
+
+function isPGM(bytes) {
+	return bytes[0] == 0x50 && bytes[1] == 0x35 && /\s/.test(String.fromCharCode(bytes[2])); // "P5"
+}
+
+// LibRaw reads dark frames as 16-bit big-endian PGM of the visible area, in raw units
+function toDarkFramePGM(raw) {
+	if(raw.channels != 1) {
+		throw new Error('LibRaw: dark frames need Bayer or X-Trans raw data');
+	}
+	let {visible_width: width, visible_height: height, top_margin: top, left_margin: left} = raw;
+	let header = new TextEncoder().encode(`P5\n${width} ${height}\n65535\n`);
+	let pgm = new Uint8Array(header.length + width * height * 2);
+	pgm.set(header);
+	let view = new DataView(pgm.buffer, header.length);
+	for(let row = 0; row < height; row++) {
+		let offset = (row + top) * raw.width + left;
+		for(let col = 0; col < width; col++) {
+			view.setUint16((row * width + col) * 2, raw.data[offset + col]);
+		}
+	}
+	return pgm;
+}
+
 export default class LibRaw {
 	constructor() {
 		this.worker = new Worker(new URL('./worker.js', import.meta.url), {type:"module"});
-		this.waitForWorker = false;
+		// Pending calls keyed by request id; the worker echoes the id back with the result
+		this.requests = new Map();
+		// Which WASM LibRaw instance inside the worker this object drives, see fork()
+		this.handle = 0;
+		// Params pointing at session files in the worker, added to every open()/reprocess()
+		this.sessionParams = {};
 		this.worker.onmessage = ({data}) => {
-			if(this.waitForWorker) {
-				let {"return": ret, "throw": thr} = this.waitForWorker;
-				this.waitForWorker = false;
-				if(data?.error) {
-					thr(data.error);
-				} else {
-					ret(data?.out);
-				}
+			let request = this.requests.get(data?.id);
+			if(!request) {
+				// Unknown ids belong to calls that were aborted in the meantime
+				return;
+			}
+			if(data.progress) {
+				request.onProgress?.({
+					stage: progressStage(data.progress.stage),
+					step: data.progress.name,
+					iteration: data.progress.iteration,
+					expected: data.progress.expected,
+				});
+				return;
+			}
+			this.requests.delete(data.id);
+			if(data.error) {
+				request.reject(data.details ? toLibRawError(data.details) : new Error(data.error));
+			} else {
+				request.resolve(data.out);
 			}
 		};
+		this.worker.onerror = (event) => {
+			// The worker died: nothing in flight will ever be answered
+			let error = new Error(event?.message || 'LibRaw worker failed');
+			for(let request of this.requests.values()) {
+				request.reject(error);
+			}
+			this.requests.clear();
+		};
 	}
 	
 	async runFn(fn, ...args) {
-		let prom = new Promise((res, err)=>{
-			this.waitForWorker = {
-				error: err,
-				return: res,
-			};
+		return await this.runFnWithOptions(fn, args);
+	}
+
+	/**
+	 * Like runFn, with call options:
+	 * - signal: AbortSignal; aborting rejects the call right away and asks LibRaw
+	 *   to stop at its next progress step (needs SharedArrayBuffer, i.e. a
+	 *   cross-origin isolated page; otherwise the result is just dropped)
+	 * - onProgress: called with {stage, step, iteration, expected} while LibRaw works
+	 */
+	async runFnWithOptions(fn, args, {signal, onProgress}={}) {
+		signal?.throwIfAborted();
+		let id = nextRequestId++;
+		let cancelFlag = signal && typeof SharedArrayBuffer=='function' && self.crossOriginIsolated ? new Int32Array(new SharedArrayBuffer(4)) : undefined;
+		let prom = new Promise((resolve, reject)=>{
+			this.requests.set(id, {resolve, reject, onProgress});
 		});
-		this.worker.postMessage({fn, args}, args.map(a=>{
+		let onAbort = () => {
+			if(cancelFlag) {
+				Atomics.store(cancelFlag, 0, 1);
+			}
+			let request = this.requests.get(id);
+			if(request) {
+				this.requests.delete(id);
+				request.reject(signal.reason);
+			}
+		};
+		signal?.addEventListener('abort', onAbort, {once: true});
+		this.worker.postMessage({id, handle: this.handle, fn, args, progress: !!onProgress, cancelFlag}, args.map(a=>{
 			if([ArrayBuffer, Uint8Array, Int8Array, Uint16Array, Int16Array, Uint32Array, Int32Array, Float32Array, Float64Array].some(b=>a instanceof b)) { // Transfer buffer
 				return a.buffer;
 			}
 		}).filter(a=>a));
-		return await prom;
+		try {
+			return await prom;
+		} finally {
+			signal?.removeEventListener('abort', onAbort);
+		}
+	}
+	/**
+	 * Create a LibRaw that shares this one's worker but drives its own WASM
+	 * LibRaw instance, so opening a file on the fork leaves this one's file
+	 * alone. Calls are still serialized by the worker. Call destroy() when done.
+	 * The fork starts with this object's session files (dark frame, profiles),
+	 * which stay valid as long as this object keeps them attached.
+	 */
+	fork() {
+		let fork = Object.create(LibRaw.prototype);
+		fork.worker = this.worker;
+		fork.requests = this.requests;
+		fork.handle = nextHandle++;
+		fork.sessionParams = {...this.sessionParams};
+		return fork;
+	}
+
+	/**
+	 * Whether the worker's libraw.wasm has the LibRaw method fn. A build made before
+	 * a method was added to libraw_wrapper.cpp lacks it; open(), imageData(),
+	 * reprocess(), thumbnail() and close() work with every build.
+	 * supports('writeFile') tells whether the build has the file system that
+	 * setDarkFrame(), setBadPixels() and the ICC profile setters need.
+	 */
+	async supports(fn) {
+		return await this.runFn('supports', fn);
 	}
+
 	/**
-	 * Open/parse the RAW data with optional settings
+	 * Free the WASM LibRaw instance behind this object. The worker keeps running;
+	 * using the object again starts over with a fresh instance.
 	 */
-	async open(buffer, settings) {
-		return await this.runFn('open', buffer, settings);
+	async destroy() {
+		return await this.runFn('destroy');
+	}
+
+	/**
+	 * Stop the worker, rejecting every pending call of this LibRaw and its forks
+	 */
+	terminate() {
+		this.worker.terminate();
+		let error = new Error('LibRaw worker terminated');
+		for(let request of this.requests.values()) {
+			request.reject(error);
+		}
+		this.requests.clear();
+	}
+
+	/**
+	 * Open/parse the RAW data with optional settings (keys from SETTINGS_SCHEMA in settings.js).
+	 * options: {signal, onProgress}, see runFnWithOptions
+	 */
+	async open(buffer, settings, options) {
+		return await this.runFnWithOptions('open', [buffer, {...libRawParams(settings), ...this.sessionParams}], options);
 	}
 
 	/**
@@ -63,11 +230,138 @@ export default class LibRaw {
 		return metadata;
 	}
 
+	/**
+	 * Retrieve the camera's embedded preview (JPEG or bitmap) without decoding
+	 * the raw data. Resolves to {format, width, height, colors, bits, data}.
+	 * A libraw.wasm without the thumbnail binding only finds JPEG previews of
+	 * TIFF-based formats and RAF, see embeddedPreview.js.
+	 */
+	async thumbnail() {
+		let thumb = await this.runFn('thumbnail');
+		if (thumb?.hasOwnProperty('type')) {
+			thumb.format = [
+				'unknown',
+				'jpeg',
+				'bitmap',
+				'jpegxl',
+				'h265'
+			][thumb.type] || 'unknown';
+		}
+		return thumb;
+	}
+
+	/**
+	 * Retrieve the unprocessed sensor data (unpacking the file if needed):
+	 * {data: Uint16Array, width, height, channels, top_margin, left_margin,
+	 * visible_width, visible_height, filters, cfa, cfa_width, cfa_height, xtrans,
+	 * cdesc, black, cblack, maximum, ...}. cfa holds the color index (into cdesc)
+	 * of each pixel of the repeating pattern, in raw coordinates.
+	 */
+	async rawData() {
+		return await this.runFn('rawData');
+	}
+
 	/**
 	 * Retrieve processed image data (synchronously from the perspective of C++,
 	 * but we've already awaited the module & instance.)
+	 * options: {signal, onProgress}, see runFnWithOptions
+	 */
+	async imageData(options) {
+		return await this.runFnWithOptions('imageData', [], options);
+	}
+
+	/**
+	 * Process the open file again with new settings (merged over the current ones)
+	 * and resolve with the same shape as imageData(). The raw data stays in the
+	 * worker, so this skips reading and unpacking the file.
+	 * options: {signal, onProgress}, see runFnWithOptions
+	 */
+	async reprocess(settings, options) {
+		return await this.runFnWithOptions('reprocess', [{...libRawParams(settings), ...this.sessionParams}], options);
+	}
+
+	/**
+	 * Attach a dark frame that LibRaw subtracts from every file this object
+	 * opens or reprocesses from now on; pass null to detach it. source is a RAW
+	 * shot with the lens cap on (same camera, ISO, exposure time and ideally
+	 * temperature as the photos) or a 16-bit PGM as written by dcraw -D -4 -j -t 0.
+	 * options: {signal, onProgress} for decoding a RAW dark frame
+	 */
+	async setDarkFrame(source, options) {
+		if(source == null) {
+			return await this.detachSessionFile('dark_frame', 'dark_frame.pgm');
+		}
+		let bytes = await readSource(source);
+		if(!isPGM(bytes)) {
+			if(!await this.supports('rawData')) {
+				throw new Error('LibRaw: this libraw.wasm build cannot read RAW dark frames, use a PGM');
+			}
+			// Decode on a fork so the file open here stays open
+			let fork = this.fork();
+			// Read the dark frame as shot, not with the current dark frame or bad pixels applied
+			fork.sessionParams = {};
+			try {
+				await fork.open(bytes, undefined, options);
+				bytes = toDarkFramePGM(await fork.rawData());
+			} finally {
+				await fork.destroy();
+			}
+		}
+		await this.attachSessionFile('dark_frame', 'dark_frame.pgm', bytes);
+	}
+
+	/**
+	 * Attach a bad pixel list that LibRaw interpolates over in every file this
+	 * object opens or reprocesses from now on; pass null to detach it. source
+	 * is text (or a File) with one "column row timestamp" line per pixel in raw
+	 * coordinates, as for dcraw -P; a timestamp of 0 applies to every photo.
+	 */
+	async setBadPixels(source) {
+		if(source == null) {
+			return await this.detachSessionFile('bad_pixels', 'bad_pixels.txt');
+		}
+		await this.attachSessionFile('bad_pixels', 'bad_pixels.txt', await readSource(source));
+	}
+
+	/**
+	 * Attach an ICC profile describing the camera; LibRaw then converts colors
+	 * with LCMS instead of its built-in matrix, for every file this object opens
+	 * or reprocesses from now on. Pass null to go back to the matrix.
+	 * With a camera profile the output is sRGB unless setOutputProfile() is used;
+	 * output_color no longer applies.
+	 */
+	async setCameraProfile(source) {
+		if(source == null) {
+			return await this.detachSessionFile('camera_profile', 'camera.icc');
+		}
+		await this.attachSessionFile('camera_profile', 'camera.icc', await readSource(source));
+	}
+
+	/**
+	 * Attach an ICC profile for the output color space; pass null to detach it.
+	 * Only used together with a camera profile, see setCameraProfile().
+	 */
+	async setOutputProfile(source) {
+		if(source == null) {
+			return await this.detachSessionFile('output_profile', 'output.icc');
+		}
+		await this.attachSessionFile('output_profile', 'output.icc', await readSource(source));
+	}
+
+	async attachSessionFile(param, name, bytes) {
+		this.sessionParams[param] = await this.runFn('writeFile', name, bytes);
+	}
+
+	async detachSessionFile(param, name) {
+		await this.runFn('removeFile', name);
+		// An empty path clears the param inside LibRaw
+		this.sessionParams[param] = '';
+	}
+
+	/**
+	 * Free the open file and its raw data inside the worker
 	 */
-	async imageData() {
-		return await this.runFn('imageData');
+	async close() {
+		return await this.runFn('close');
 	}
-}
\ No newline at end of file
+}
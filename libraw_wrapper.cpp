@@ -3,6 +3,10 @@
 #include <stdexcept>
 #include <iostream>
 #include <cstring>
+#include <map>
+#include <algorithm>
+#include <cstdlib>
+#include <cerrno>
 
 // Emscripten Embind
 #include <emscripten/bind.h>
@@ -10,12 +14,19 @@
 // LibRaw includes
 #include "libraw/libraw.h"
 
+// libjpeg (emscripten port, -s USE_LIBJPEG=1)
+#include <cstdio>
+extern "C" {
+#include <jpeglib.h>
+}
+
 using namespace emscripten;
 
 class WASMLibRaw {
 public:
 	WASMLibRaw() {
 		processor_ = new LibRaw();
+		processor_->set_progress_handler(&WASMLibRaw::progressCallback, this);
 	}
 
 	~WASMLibRaw() {
@@ -31,15 +42,32 @@ public:
 			throw std::runtime_error("LibRaw not initialized");
 		}
 
+		// Drop whatever was opened before
+		close();
+
 		// 1) Convert the JS buffer (Uint8Array) to a C++ std::vector<uint8_t>.
-		std::vector<uint8_t> buffer = toNativeVector(jsBuffer);
+		// LibRaw keeps reading from it (unpack, thumbnails), so it must outlive this call.
+		buffer_ = toNativeVector(jsBuffer);
 
 		applySettings(settings);
 
-		int ret = processor_->open_buffer((void*)buffer.data(), buffer.size());
+		int ret = processor_->open_buffer((void*)buffer_.data(), buffer_.size());
 		if (ret != LIBRAW_SUCCESS) {
-			throw std::runtime_error("LibRaw: open_buffer() failed with code " + std::to_string(ret));
+			fail(ret, "open");
 		}
+		isOpen = true;
+	}
+
+	// Free the opened file and the raw data unpacked from it. Settings are kept.
+	void close() {
+		if (!processor_) {
+			return;
+		}
+		processor_->recycle();
+		std::vector<uint8_t>().swap(buffer_);
+		isOpen = false;
+		isUnpacked = false;
+		isProcessed = false;
 	}
 
 	val metadata(bool fullOutput=false) {
@@ -59,6 +87,7 @@ public:
 		}
 		meta.set("width",       orientedWidth);
 		meta.set("height",      orientedHeight);
+		meta.set("flip",        flipCode);
 		meta.set("raw_width",   processor_->imgdata.sizes.raw_width);
 		meta.set("raw_height",  processor_->imgdata.sizes.raw_height);
 		meta.set("top_margin",  processor_->imgdata.sizes.top_margin);
@@ -113,7 +142,31 @@ public:
 				colorData.set("pre_mul", preMulArr);
 			}
 
-			// c.rgb_cam[3][4], c.cam_xyz[4][3], etc. can also be copied if needed.
+			// Camera matrices, used by the UI to turn WB multipliers into a
+			// colour temperature. cam_xyz is XYZ -> camera, all zero when
+			// LibRaw has no matrix for the camera.
+			{
+				val rgbCamArr = val::array();
+				for (int i = 0; i < 3; i++) {
+					val row = val::array();
+					for (int j = 0; j < 4; j++) {
+						row.set(j, c.rgb_cam[i][j]);
+					}
+					rgbCamArr.set(i, row);
+				}
+				colorData.set("rgb_cam", rgbCamArr);
+			}
+			{
+				val camXyzArr = val::array();
+				for (int i = 0; i < 4; i++) {
+					val row = val::array();
+					for (int j = 0; j < 3; j++) {
+						row.set(j, c.cam_xyz[i][j]);
+					}
+					camXyzArr.set(i, row);
+				}
+				colorData.set("cam_xyz", camXyzArr);
+			}
 			colorData.set("flash_used",   c.flash_used);
 			colorData.set("canon_ev",	 c.canon_ev);
 			colorData.set("model2",	   std::string(c.model2));
@@ -877,27 +930,290 @@ public:
 		}
 
 		// If not yet unpacked/processed, do it now
-		if (!isUnpacked) {
-			isUnpacked = true;
+		if (!isProcessed) {
+			unpack();
+			process();
+		}
+
+		return makeImageData();
+	}
+
+	// Run dcraw_process() again on the raw data already in memory, with new
+	// settings on top of the current ones. Skips reading and unpacking the file,
+	// so white balance or demosaic changes only pay for processing.
+	// Returns the same object as imageData().
+	val reprocess(val settings) {
+		if (!processor_) {
+			return val::undefined();
+		}
+		if (!isOpen) {
+			throw std::runtime_error("LibRaw: reprocess() called without an open file");
+		}
+
+		applySettings(settings);
+		isProcessed = false;
+		unpack();
+		process();
+
+		return makeImageData();
+	}
+
+	// Extract the camera's embedded preview. Works right after open(), without
+	// unpacking or processing the raw data.
+	val thumbnail() {
+		if (!processor_) {
+			return val::undefined();
+		}
+		int ret = processor_->unpack_thumb();
+		if (ret != LIBRAW_SUCCESS) {
+			fail(ret, "thumbnail");
+		}
+		int errc = 0;
+		libraw_processed_image_t* out = processor_->dcraw_make_mem_thumb(&errc);
+		if (!out) {
+			fail(memImageError(errc), "thumbnail");
+		}
+		val resultObj = val::object();
+		// LibRaw_image_formats: 1 = JPEG, 2 = bitmap, 3 = JPEG XL, 4 = H.265
+		resultObj.set("type",   static_cast<int>(out->type));
+		resultObj.set("height", out->height);
+		resultObj.set("width",  out->width);
+		resultObj.set("colors", out->colors);
+		resultObj.set("bits",   out->bits);
+		resultObj.set("dataSize", (unsigned int)out->data_size);
+		// Encoded formats are handed over as raw bytes, bitmaps as samples
+		val jsData = val::undefined();
+		if (out->type == LIBRAW_IMAGE_BITMAP && out->bits == 16) {
+			unsigned length = out->data_size / 2;
+			val typedArray = val::global("Uint16Array").new_(val(length));
+			typedArray.call<void>("set", val(typed_memory_view(length, (uint16_t*)out->data)));
+			jsData = typedArray;
+		} else {
+			val typedArray = val::global("Uint8Array").new_(val(out->data_size));
+			typedArray.call<void>("set", val(typed_memory_view(out->data_size, (uint8_t*)out->data)));
+			jsData = typedArray;
+		}
+		processor_->dcraw_clear_mem(out);
+		resultObj.set("data", jsData);
+		return resultObj;
+	}
+	// Unprocessed sensor values as unpacked from the file (before black
+	// subtraction, white balance or demosaicing), for raw histograms and
+	// clipping/hot pixel analysis. Unpacks on first use; does not run
+	// dcraw_process(). Coordinates are raw (sensor) coordinates: the visible
+	// image starts at (left_margin, top_margin).
+	val rawData() {
+		if (!processor_) {
+			return val::undefined();
+		}
+		if (!isOpen) {
+			throw std::runtime_error("LibRaw: rawData() called without an open file");
+		}
+		unpack();
+
+		const libraw_rawdata_t &raw = processor_->imgdata.rawdata;
+		const libraw_image_sizes_t &sizes = raw.sizes;
+		const libraw_colordata_t &color = raw.color;
+		const libraw_iparams_t &idata = raw.iparams;
+
+		// Bayer/X-Trans data has one sample per pixel; some formats (sRAW,
+		// Foveon, linear DNG) unpack to 3 or 4 samples per pixel instead
+		const unsigned short *source = nullptr;
+		unsigned channels = 1;
+		if (raw.raw_image) {
+			source = raw.raw_image;
+		} else if (raw.color4_image) {
+			source = &raw.color4_image[0][0];
+			channels = 4;
+		} else if (raw.color3_image) {
+			source = &raw.color3_image[0][0];
+			channels = 3;
+		} else {
+			throw std::runtime_error("LibRaw: rawData() does not support floating point raw data");
+		}
+
+		unsigned rowLength = sizes.raw_width * channels;
+		unsigned rowStride = sizes.raw_pitch / sizeof(unsigned short);
+		val data = val::global("Uint16Array").new_(val(rowLength * sizes.raw_height));
+		if (rowStride == rowLength) {
+			data.call<void>("set", val(typed_memory_view(rowLength * sizes.raw_height, source)));
+		} else {
+			for (unsigned row = 0; row < sizes.raw_height; row++) {
+				data.call<void>("set", val(typed_memory_view(rowLength, source + row * rowStride)), val(row * rowLength));
+			}
+		}
+
+		val result = val::object();
+		result.set("data", data);
+		result.set("width", sizes.raw_width);
+		result.set("height", sizes.raw_height);
+		result.set("channels", channels);
+		result.set("top_margin", sizes.top_margin);
+		result.set("left_margin", sizes.left_margin);
+		result.set("visible_width", sizes.width);
+		result.set("visible_height", sizes.height);
+
+		// CFA layout: filters is LibRaw's packed Bayer pattern (9 = X-Trans,
+		// 0 = no CFA). cfa spells it out as color indices into cdesc, in raw
+		// coordinates, repeating every cfa_width x cfa_height pixels.
+		result.set("filters", (double)idata.filters);
+		result.set("colors", idata.colors);
+		result.set("cdesc", std::string(idata.cdesc, strnlen(idata.cdesc, sizeof(idata.cdesc))));
+		if (idata.filters) {
+			int patternHeight = idata.filters == 9 ? 6 : (idata.filters < 1000 ? 16 : 8);
+			int patternWidth = idata.filters == 9 ? 6 : (idata.filters < 1000 ? 16 : 2);
+			val cfa = val::array();
+			for (int row = 0; row < patternHeight; row++) {
+				for (int col = 0; col < patternWidth; col++) {
+					// COLOR() takes visible-area coordinates; keep them non-negative
+					int visibleRow = ((row - sizes.top_margin) % patternHeight + patternHeight) % patternHeight;
+					int visibleCol = ((col - sizes.left_margin) % patternWidth + patternWidth) % patternWidth;
+					cfa.call<void>("push", processor_->COLOR(visibleRow, visibleCol));
+				}
+			}
+			result.set("cfa", cfa);
+			result.set("cfa_width", patternWidth);
+			result.set("cfa_height", patternHeight);
+		}
+		if (idata.filters == 9) {
+			val xtrans = val::array();
+			for (int row = 0; row < 6; row++) {
+				val xtransRow = val::array();
+				for (int col = 0; col < 6; col++) {
+					xtransRow.set(col, (int)idata.xtrans[row][col]);
+				}
+				xtrans.set(row, xtransRow);
+			}
+			result.set("xtrans", xtrans);
+		}
 
-			int ret = processor_->unpack();
-			if (ret != LIBRAW_SUCCESS) {
-				throw std::runtime_error("LibRaw: unpack() failed with code " + std::to_string(ret));
+		// Levels: black for channel c is black + cblack[c], plus the
+		// cblack_pattern entry for (row % height, col % width) when present
+		result.set("black", color.black);
+		val cblack = val::array();
+		for (int i = 0; i < 4; i++) {
+			cblack.set(i, color.cblack[i]);
+		}
+		result.set("cblack", cblack);
+		if (color.cblack[4] && color.cblack[5]) {
+			val pattern = val::array();
+			for (unsigned i = 0; i < color.cblack[4] * color.cblack[5]; i++) {
+				pattern.set(i, color.cblack[6 + i]);
 			}
+			result.set("cblack_pattern", pattern);
+			result.set("cblack_pattern_width", color.cblack[4]);
+			result.set("cblack_pattern_height", color.cblack[5]);
+		}
+		result.set("maximum", color.maximum);
+		result.set("data_maximum", color.data_maximum);
+		result.set("raw_bps", (int)color.raw_bps);
+
+		val camMul = val::array();
+		val preMul = val::array();
+		for (int i = 0; i < 4; i++) {
+			camMul.set(i, color.cam_mul[i]);
+			preMul.set(i, color.pre_mul[i]);
+		}
+		result.set("cam_mul", camMul);
+		result.set("pre_mul", preMul);
 
-			ret = processor_->dcraw_process();
-			if (ret != LIBRAW_SUCCESS) {
-				throw std::runtime_error("LibRaw: dcraw_process() failed with code " + std::to_string(ret));
+		return result;
+	}
+
+	// Register a JS function called as handler(stage, stageName, iteration, expected)
+	// on every LibRaw progress step. Returning a truthy value cancels the
+	// running call, which then fails with LIBRAW_CANCELLED_BY_CALLBACK.
+	void setProgressHandler(val handler) {
+		progressHandler_ = handler;
+	}
+
+	// Details of the LibRaw failure behind the last exception thrown by this
+	// instance: {code, stage, message, make, model}, or null when it wasn't a
+	// LibRaw error. Cleared once read, so a stale error is never reported twice.
+	val takeLastError() {
+		if (lastErrorCode_ == LIBRAW_SUCCESS) {
+			return val::null();
+		}
+		val error = val::object();
+		error.set("code", lastErrorCode_);
+		error.set("stage", lastErrorStage_);
+		error.set("message", std::string(libraw_strerror(lastErrorCode_)));
+		// identify() may have got as far as the camera before failing
+		if (processor_) {
+			const libraw_iparams_t &idata = processor_->imgdata.idata;
+			if (idata.make[0]) {
+				error.set("make", std::string(idata.make));
+			}
+			if (idata.model[0]) {
+				error.set("model", std::string(idata.model));
 			}
 		}
+		lastErrorCode_ = LIBRAW_SUCCESS;
+		lastErrorStage_.clear();
+		return error;
+	}
+private:
+	LibRaw* processor_ = nullptr;
+	std::vector<uint8_t> buffer_;
+	bool isOpen = false;
+	bool isUnpacked = false;
+	bool isProcessed = false;
+	val progressHandler_ = val::null();
+	int lastErrorCode_ = LIBRAW_SUCCESS;
+	std::string lastErrorStage_;
+
+	// dcraw_make_mem_image/thumb() report ENOMEM or a LibRaw code
+	static int memImageError(int errc) {
+		if (errc == ENOMEM) {
+			return LIBRAW_UNSUFFICIENT_MEMORY;
+		}
+		return errc ? errc : LIBRAW_UNSPECIFIED_ERROR;
+	}
+
+	// Record a LibRaw return code for takeLastError() and throw
+	[[noreturn]] void fail(int code, const char *stage) {
+		lastErrorCode_ = code;
+		lastErrorStage_ = stage;
+		throw std::runtime_error(std::string("LibRaw: ") + stage + " failed: " + libraw_strerror(code));
+	}
 
+	static int progressCallback(void *data, enum LibRaw_progress stage, int iteration, int expected) {
+		WASMLibRaw *self = static_cast<WASMLibRaw*>(data);
+		if (self->progressHandler_.isNull() || self->progressHandler_.isUndefined()) {
+			return 0;
+		}
+		val cancel = self->progressHandler_(static_cast<int>(stage), std::string(libraw_strprogress(stage)), iteration, expected);
+		return cancel.as<bool>() ? 1 : 0;
+	}
+
+	// Unpack once per opened file; dcraw_process() works on a copy of the raw
+	// data, so it can run again without unpacking.
+	void unpack() {
+		if (isUnpacked) {
+			return;
+		}
+		int ret = processor_->unpack();
+		if (ret != LIBRAW_SUCCESS) {
+			fail(ret, "unpack");
+		}
+		isUnpacked = true;
+	}
+
+	void process() {
+		int ret = processor_->dcraw_process();
+		if (ret != LIBRAW_SUCCESS) {
+			fail(ret, "process");
+		}
+		isProcessed = true;
+	}
+
+	// Copy the processed image into a JS object
+	val makeImageData() {
 		// Make a processed image in memory
-		libraw_processed_image_t* out = nullptr;
-		out = processor_->dcraw_make_mem_image();
+		int errc = 0;
+		libraw_processed_image_t* out = processor_->dcraw_make_mem_image(&errc);
 		if (!out) {
-			// If dcraw_make_mem_image() fails or returns null,
-			// we return undefined or throw an error
-			return val::undefined();
+			fail(memImageError(errc), "image");
 		}
 
 		// Prepare a JS object to hold all the result fields
@@ -959,10 +1275,9 @@ public:
 		return resultObj;
 	}
 
-private:
-	LibRaw* processor_ = nullptr;
-	bool isUnpacked = false;
-
+	// Copy settings into imgdata.params. Keys are libraw_output_params_t field
+	// names; settings.js maps the UI's settings onto them and validates types
+	// and ranges, so a key missing here means the two have drifted apart.
 	void applySettings(const val& settings) {
 		// If 'settings' is null or undefined, just skip
 		if (settings.isNull() || settings.isUndefined()) {
@@ -973,166 +1288,94 @@ private:
 			return;
 		}
 
+		typedef libraw_output_params_t P;
+		static const std::map<std::string, int P::*> intParams = {
+			{"half_size", &P::half_size},
+			{"four_color_rgb", &P::four_color_rgb},
+			{"highlight", &P::highlight},
+			{"use_auto_wb", &P::use_auto_wb},
+			{"use_camera_wb", &P::use_camera_wb},
+			{"use_camera_matrix", &P::use_camera_matrix},
+			{"output_color", &P::output_color},
+			{"output_bps", &P::output_bps},
+			{"user_flip", &P::user_flip},
+			{"user_qual", &P::user_qual},
+			{"user_black", &P::user_black},
+			{"user_sat", &P::user_sat},
+			{"med_passes", &P::med_passes},
+			{"no_auto_bright", &P::no_auto_bright},
+			{"use_fuji_rotate", &P::use_fuji_rotate},
+			{"green_matching", &P::green_matching},
+			{"dcb_iterations", &P::dcb_iterations},
+			{"dcb_enhance_fl", &P::dcb_enhance_fl},
+			{"fbdd_noiserd", &P::fbdd_noiserd},
+			{"exp_correc", &P::exp_correc},
+			{"no_auto_scale", &P::no_auto_scale},
+			{"no_interpolation", &P::no_interpolation},
+		};
+		static const std::map<std::string, float P::*> floatParams = {
+			{"bright", &P::bright},
+			{"threshold", &P::threshold},
+			{"auto_bright_thr", &P::auto_bright_thr},
+			{"adjust_maximum_thr", &P::adjust_maximum_thr},
+			{"exp_shift", &P::exp_shift},
+			{"exp_preser", &P::exp_preser},
+		};
+		static const std::map<std::string, char* P::*> stringParams = {
+			{"output_profile", &P::output_profile},
+			{"camera_profile", &P::camera_profile},
+			{"bad_pixels", &P::bad_pixels},
+			{"dark_frame", &P::dark_frame},
+		};
+
 		libraw_output_params_t &params = processor_->imgdata.params;
 
-		// -- ARRAYS --
-		if (settings.hasOwnProperty("greybox") && !settings["greybox"].isNull() && !settings["greybox"].isUndefined()) {
-			val arr = settings["greybox"];
-			if (arr["length"].as<unsigned>() == 4) {
-				for (int i = 0; i < 4; i++) {
-					params.greybox[i] = arr[i].as<unsigned>();
-				}
+		val keys = val::global("Object").call<val>("keys", settings);
+		unsigned count = keys["length"].as<unsigned>();
+		for (unsigned k = 0; k < count; k++) {
+			std::string key = keys[k].as<std::string>();
+			val value = settings[key];
+			if (value.isNull() || value.isUndefined()) {
+				continue;
 			}
-		}
-		if (settings.hasOwnProperty("cropbox") && !settings["cropbox"].isNull() && !settings["cropbox"].isUndefined()) {
-			val arr = settings["cropbox"];
-			if (arr["length"].as<unsigned>() == 4) {
-				for (int i = 0; i < 4; i++) {
-					params.cropbox[i] = arr[i].as<unsigned>();
-				}
-			}
-		}
-		if (settings.hasOwnProperty("aber") && !settings["aber"].isNull() && !settings["aber"].isUndefined()) {
-			val arr = settings["aber"];
-			if (arr["length"].as<unsigned>() == 4) {
-				for (int i = 0; i < 4; i++) {
-					params.aber[i] = arr[i].as<double>();
-				}
-			}
-		}
-		if (settings.hasOwnProperty("gamm") && !settings["gamm"].isNull() && !settings["gamm"].isUndefined()) {
-			val arr = settings["gamm"];
-			if (arr["length"].as<unsigned>() == 6) {
-				for (int i = 0; i < 6; i++) {
-					params.gamm[i] = arr[i].as<double>();
-				}
-			}
-		}
-		if (settings.hasOwnProperty("userMul") && !settings["userMul"].isNull() && !settings["userMul"].isUndefined()) {
-			val arr = settings["userMul"];
-			if (arr["length"].as<unsigned>() == 4) {
-				for (int i = 0; i < 4; i++) {
-					params.user_mul[i] = arr[i].as<float>();
-				}
-			}
-		}
 
-		// -- FLOATS --
-		if (settings.hasOwnProperty("bright")) {
-			params.bright = settings["bright"].as<float>();
-		}
-		if (settings.hasOwnProperty("threshold")) {
-			params.threshold = settings["threshold"].as<float>();
-		}
-		if (settings.hasOwnProperty("autoBrightThr")) {
-			params.auto_bright_thr = settings["autoBrightThr"].as<float>();
-		}
-		if (settings.hasOwnProperty("adjustMaximumThr")) {
-			params.adjust_maximum_thr = settings["adjustMaximumThr"].as<float>();
-		}
-		if (settings.hasOwnProperty("expShift")) {
-			params.exp_shift = settings["expShift"].as<float>();
-		}
-		if (settings.hasOwnProperty("expPreser")) {
-			params.exp_preser = settings["expPreser"].as<float>();
-		}
-
-		// -- INTEGERS --
-		if (settings.hasOwnProperty("halfSize")) {
-			params.half_size = settings["halfSize"].as<int>();
-		}
-		if (settings.hasOwnProperty("fourColorRgb")) {
-			params.four_color_rgb = settings["fourColorRgb"].as<int>();
-		}
-		if (settings.hasOwnProperty("highlight")) {
-			params.highlight = settings["highlight"].as<int>();
-		}
-		if (settings.hasOwnProperty("useAutoWb")) {
-			params.use_auto_wb = settings["useAutoWb"].as<int>();
-		}
-		if (settings.hasOwnProperty("useCameraWb")) {
-			params.use_camera_wb = settings["useCameraWb"].as<int>();
-		}
-		if (settings.hasOwnProperty("useCameraMatrix")) {
-			params.use_camera_matrix = settings["useCameraMatrix"].as<int>();
-		}
-		if (settings.hasOwnProperty("outputColor")) {
-			params.output_color = settings["outputColor"].as<int>();
-		}
-		if (settings.hasOwnProperty("outputBps")) {
-			params.output_bps = settings["outputBps"].as<int>();
-		}
-		if (settings.hasOwnProperty("outputTiff")) {
-			params.output_tiff = settings["outputTiff"].as<int>();
-		}
-		if (settings.hasOwnProperty("outputFlags")) {
-			params.output_flags = settings["outputFlags"].as<int>();
-		}
-		if (settings.hasOwnProperty("userFlip")) {
-			params.user_flip = settings["userFlip"].as<int>();
-		}
-		if (settings.hasOwnProperty("userQual")) {
-			params.user_qual = settings["userQual"].as<int>();
-		}
-		if (settings.hasOwnProperty("userBlack")) {
-			params.user_black = settings["userBlack"].as<int>();
-		}
-		if (settings.hasOwnProperty("userCblack")) {
-			val arr = settings["userCblack"];
-			if (arr["length"].as<unsigned>() == 4) {
-				for (int i = 0; i < 4; i++) {
-					params.user_cblack[i] = arr[i].as<int>();
-				}
+			auto intParam = intParams.find(key);
+			auto floatParam = floatParams.find(key);
+			auto stringParam = stringParams.find(key);
+			if (intParam != intParams.end()) {
+				params.*(intParam->second) = value.as<int>();
+			} else if (floatParam != floatParams.end()) {
+				params.*(floatParam->second) = value.as<float>();
+			} else if (stringParam != stringParams.end()) {
+				setStringMember(params.*(stringParam->second), value.as<std::string>());
+			} else if (key == "greybox") {
+				setArray(key, params.greybox, 4, value);
+			} else if (key == "cropbox") {
+				setArray(key, params.cropbox, 4, value);
+			} else if (key == "aber") {
+				setArray(key, params.aber, 4, value);
+			} else if (key == "gamm") {
+				setArray(key, params.gamm, 6, value);
+			} else if (key == "user_mul") {
+				setArray(key, params.user_mul, 4, value);
+			} else if (key == "user_cblack") {
+				setArray(key, params.user_cblack, 4, value);
+			} else {
+				throw std::runtime_error("LibRaw: unknown setting '" + key + "'");
 			}
 		}
-		if (settings.hasOwnProperty("userSat")) {
-			params.user_sat = settings["userSat"].as<int>();
-		}
-		if (settings.hasOwnProperty("medPasses")) {
-			params.med_passes = settings["medPasses"].as<int>();
-		}
-		if (settings.hasOwnProperty("noAutoBright")) {
-			params.no_auto_bright = settings["noAutoBright"].as<int>();
-		}
-		if (settings.hasOwnProperty("useFujiRotate")) {
-			params.use_fuji_rotate = settings["useFujiRotate"].as<int>();
-		}
-		if (settings.hasOwnProperty("greenMatching")) {
-			params.green_matching = settings["greenMatching"].as<int>();
-		}
-		if (settings.hasOwnProperty("dcbIterations")) {
-			params.dcb_iterations = settings["dcbIterations"].as<int>();
-		}
-		if (settings.hasOwnProperty("dcbEnhanceFl")) {
-			params.dcb_enhance_fl = settings["dcbEnhanceFl"].as<int>();
-		}
-		if (settings.hasOwnProperty("fbddNoiserd")) {
-			params.fbdd_noiserd = settings["fbddNoiserd"].as<int>();
-		}
-		if (settings.hasOwnProperty("expCorrec")) {
-			params.exp_correc = settings["expCorrec"].as<int>();
-		}
-		if (settings.hasOwnProperty("noAutoScale")) {
-			params.no_auto_scale = settings["noAutoScale"].as<int>();
-		}
-		if (settings.hasOwnProperty("noInterpolation")) {
-			params.no_interpolation = settings["noInterpolation"].as<int>();
-		}
+	}
 
-		// -- STRINGS (C-strings) --
-		if (settings.hasOwnProperty("outputProfile") && settings["outputProfile"].typeOf().as<std::string>()=="string") {
-			setStringMember(params.output_profile, settings["outputProfile"].as<std::string>());
-		}
-		if (settings.hasOwnProperty("cameraProfile") && settings["cameraProfile"].typeOf().as<std::string>()=="string") {
-			setStringMember(params.camera_profile, settings["cameraProfile"].as<std::string>());
-		}
-		if (settings.hasOwnProperty("badPixels") && settings["badPixels"].typeOf().as<std::string>()=="string") {
-			setStringMember(params.bad_pixels, settings["badPixels"].as<std::string>());
+	template <typename T>
+	static void setArray(const std::string& key, T* dest, unsigned length, const val& value) {
+		if (value["length"].as<unsigned>() != length) {
+			throw std::runtime_error("LibRaw: setting '" + key + "' needs " + std::to_string(length) + " values");
 		}
-		if (settings.hasOwnProperty("darkFrame") && settings["darkFrame"].typeOf().as<std::string>()=="string") {
-			setStringMember(params.dark_frame, settings["darkFrame"].as<std::string>());
+		for (unsigned i = 0; i < length; i++) {
+			dest[i] = value[i].as<T>();
 		}
 	}
+
 	// Convert a JS Uint8Array to a std::vector<uint8_t>
 	std::vector<uint8_t> toNativeVector(const val &jsBuffer) {
 		// Check for null/undefined
@@ -1180,11 +1423,68 @@ private:
 	}
 };
 
+// libjpeg's default error handler calls exit(); turn errors into exceptions
+static void jpegErrorExit(j_common_ptr cinfo) {
+	char message[JMSG_LENGTH_MAX];
+	(*cinfo->err->format_message)(cinfo, message);
+	throw std::runtime_error(std::string("libjpeg: ") + message);
+}
+
+// Encode 8-bit RGB samples (width * height * 3 bytes) as a baseline JPEG.
+// The browser uses canvas.toBlob(); this is for the Node CLI, which has no canvas.
+val encodeJpeg(val jsRgb, int width, int height, int quality) {
+	std::vector<uint8_t> rgb = convertJSArrayToNumberVector<uint8_t>(jsRgb);
+	if (width <= 0 || height <= 0 || rgb.size() < static_cast<size_t>(width) * height * 3) {
+		throw std::runtime_error("encodeJpeg: expected width * height * 3 RGB samples");
+	}
+
+	jpeg_compress_struct cinfo;
+	jpeg_error_mgr jerr;
+	cinfo.err = jpeg_std_error(&jerr);
+	jerr.error_exit = jpegErrorExit;
+	jpeg_create_compress(&cinfo);
+
+	unsigned char *out = nullptr;
+	unsigned long outSize = 0;
+	try {
+		jpeg_mem_dest(&cinfo, &out, &outSize);
+		cinfo.image_width = width;
+		cinfo.image_height = height;
+		cinfo.input_components = 3;
+		cinfo.in_color_space = JCS_RGB;
+		jpeg_set_defaults(&cinfo);
+		jpeg_set_quality(&cinfo, std::max(1, std::min(100, quality)), TRUE);
+		jpeg_start_compress(&cinfo, TRUE);
+		while (cinfo.next_scanline < cinfo.image_height) {
+			JSAMPROW row = &rgb[static_cast<size_t>(cinfo.next_scanline) * width * 3];
+			jpeg_write_scanlines(&cinfo, &row, 1);
+		}
+		jpeg_finish_compress(&cinfo);
+	} catch (...) {
+		jpeg_destroy_compress(&cinfo);
+		free(out);
+		throw;
+	}
+	jpeg_destroy_compress(&cinfo);
+
+	val result = val::global("Uint8Array").new_(val(static_cast<unsigned>(outSize)));
+	result.call<void>("set", val(typed_memory_view(outSize, out)));
+	free(out);
+	return result;
+}
+
 EMSCRIPTEN_BINDINGS(libraw_module) {
 	register_vector<uint8_t>("VectorUint8");
 	class_<WASMLibRaw>("LibRaw")
 		.constructor<>()
 		.function("open", &WASMLibRaw::open)
 		.function("metadata", &WASMLibRaw::metadata)
-		.function("imageData", &WASMLibRaw::imageData);
+		.function("imageData", &WASMLibRaw::imageData)
+		.function("reprocess", &WASMLibRaw::reprocess)
+		.function("close", &WASMLibRaw::close)
+		.function("thumbnail", &WASMLibRaw::thumbnail)
+		.function("rawData", &WASMLibRaw::rawData)
+		.function("setProgressHandler", &WASMLibRaw::setProgressHandler)
+		.function("takeLastError", &WASMLibRaw::takeLastError);
+	function("encodeJpeg", &encodeJpeg);
 }
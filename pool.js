@@ -0,0 +1,108 @@
+import LibRaw from './index.js';
+
+// Files are read only once their job starts, so a large selection is not held in memory all at once
+async function toBytes(source) {
+	return typeof Blob=='function' && source instanceof Blob ? new Uint8Array(await source.arrayBuffer()) : source;
+}
+
+/**
+ * Spreads LibRaw jobs over several workers. Every job runs on a fork (its own
+ * WASM LibRaw instance) that is destroyed afterwards, so jobs never see each
+ * other's files. Jobs beyond the pool size wait in a FIFO queue.
+ */
+export default class LibRawPool {
+	/**
+	 * size: number of workers; each one holds a full WASM heap, so keep it modest
+	 */
+	constructor(size = navigator.hardwareConcurrency || 1) {
+		this.workers = Array.from({length: Math.max(1, size|0)}, () => new LibRaw());
+		this.idle = [...this.workers];
+		this.queue = [];
+	}
+
+	get size() {
+		return this.workers.length;
+	}
+
+	/**
+	 * Run job(libraw) once a worker is free and resolve with its result.
+	 * options: {signal}; aborting drops a job that has not started yet,
+	 * a running job should pass the signal on to its LibRaw calls.
+	 */
+	run(job, {signal}={}) {
+		return new Promise((resolve, reject) => {
+			signal?.throwIfAborted();
+			let onAbort = () => {
+				let index = this.queue.indexOf(entry);
+				if(index >= 0) {
+					this.queue.splice(index, 1);
+					reject(signal.reason);
+				}
+			};
+			// Drop the listener once the job settles, long-lived signals would keep every finished job alive
+			let settle = fn => value => {
+				signal?.removeEventListener('abort', onAbort);
+				fn(value);
+			};
+			let entry = {job, resolve: settle(resolve), reject: settle(reject)};
+			this.queue.push(entry);
+			signal?.addEventListener('abort', onAbort, {once: true});
+			this.dispatch();
+		});
+	}
+
+	dispatch() {
+		while(this.idle.length && this.queue.length) {
+			let worker = this.idle.shift();
+			let {job, resolve, reject} = this.queue.shift();
+			let libraw = worker.fork();
+			Promise.resolve().then(() => job(libraw)).then(resolve, reject).finally(() => {
+				// Queued behind anything the job left running in the worker
+				libraw.destroy().catch(() => {});
+				this.idle.push(worker);
+				this.dispatch();
+			});
+		}
+	}
+
+	/**
+	 * Open and fully decode one file (bytes or a Blob/File). Resolves to {metadata, image}.
+	 * options: {signal, onProgress, fullMetadata}
+	 */
+	decode(buffer, settings, options={}) {
+		return this.run(async (libraw) => {
+			await libraw.open(await toBytes(buffer), settings, options);
+			let metadata = await libraw.metadata(options.fullMetadata);
+			let image = await libraw.imageData(options);
+			return {metadata, image};
+		}, options);
+	}
+
+	/**
+	 * Open one file (bytes or a Blob/File) and read its embedded preview only; much cheaper than decode().
+	 * Resolves to {metadata, thumbnail}; thumbnail is null if the libraw.wasm build can't
+	 * extract previews. options: {signal, onProgress, fullMetadata}
+	 */
+	preview(buffer, options={}) {
+		return this.run(async (libraw) => {
+			await libraw.open(await toBytes(buffer), undefined, options);
+			let metadata = await libraw.metadata(options.fullMetadata);
+			let thumbnail = await libraw.supports('thumbnail') ? await libraw.thumbnail() : null;
+			return {metadata, thumbnail};
+		}, options);
+	}
+
+	/**
+	 * Stop all workers; queued and running jobs are rejected
+	 */
+	terminate() {
+		let error = new Error('LibRaw pool terminated');
+		for(let {reject} of this.queue.splice(0)) {
+			reject(error);
+		}
+		for(let worker of this.workers) {
+			worker.terminate();
+		}
+		this.idle = [];
+	}
+}
@@ -0,0 +1,314 @@
+/**
+ * Every setting the app understands, keyed by the name used in the UI's
+ * settings object. Each entry has:
+ * - type: 'int' | 'float' | 'flag' (0/1, booleans accepted) | 'array' | 'string'
+ *   | 'object' (structured values, checked by the entry's normalize function)
+ * - min/max: allowed range (per item for arrays); values outside are clamped
+ * - values: allowed values, for settings that only take a few
+ * - length/item: array length and item type ('int' or 'float')
+ * - default: initial value; null leaves LibRaw's own default in place
+ * - stage: 'decode' settings are copied into LibRaw's imgdata.params[param]
+ *   (param defaults to the key) by open()/reprocess(); 'render' settings are
+ *   applied in JS on the decoded image and never reach LibRaw; 'wb' settings
+ *   need the camera's color matrix and are turned into raw_user_mul once the
+ *   file is open (resolveWhiteBalance() in Files/WhiteBalance.js)
+ *
+ * Where the UI uses a LibRaw name for its own adjustment (bright, exp_shift,
+ * user_sat, fbdd_noiserd, user_mul) the LibRaw parameter gets a raw_ prefix.
+ */
+export const SETTINGS_SCHEMA = {
+	// -- Decode: white balance and color --
+	use_auto_wb:        {type: 'flag', default: 1, stage: 'decode'},
+	use_camera_wb:      {type: 'flag', default: 0, stage: 'decode'},
+	use_camera_matrix:  {type: 'int', min: 0, max: 3, default: 1, stage: 'decode'},
+	greybox:            {type: 'array', item: 'int', length: 4, min: 0, max: 0xFFFFFFFF, default: null, stage: 'decode'},
+	raw_user_mul:       {type: 'array', item: 'float', length: 4, min: 0, max: 64, default: null, stage: 'decode', param: 'user_mul'},
+	wb_temperature:     {type: 'int', min: 2000, max: 15000, default: null, stage: 'wb'},
+	wb_tint:            {type: 'int', min: -150, max: 150, default: null, stage: 'wb'},
+	output_color:       {type: 'int', min: 0, max: 8, default: 1, stage: 'decode'},
+	output_profile:     {type: 'string', default: null, stage: 'decode'},
+	camera_profile:     {type: 'string', default: null, stage: 'decode'},
+
+	// -- Decode: output --
+	output_bps:         {type: 'int', values: [8, 16], default: 16, stage: 'decode'},
+	half_size:          {type: 'flag', default: 0, stage: 'decode'},
+	cropbox:            {type: 'array', item: 'int', length: 4, min: 0, max: 0xFFFFFFFF, default: null, stage: 'decode'},
+	user_flip:          {type: 'int', min: -1, max: 7, default: -1, stage: 'decode'},
+	use_fuji_rotate:    {type: 'int', min: -1, max: 1, default: 1, stage: 'decode'},
+	gamm:               {type: 'array', item: 'float', length: 6, min: 0, max: 100, default: null, stage: 'decode'},
+	no_auto_bright:     {type: 'flag', default: 0, stage: 'decode'},
+	auto_bright_thr:    {type: 'float', min: 0, max: 1, default: 0.01, stage: 'decode'},
+	raw_bright:         {type: 'float', min: 0.1, max: 8, default: null, stage: 'decode', param: 'bright'},
+	exp_correc:         {type: 'flag', default: 0, stage: 'decode'},
+	raw_exp_shift:      {type: 'float', min: 0.25, max: 8, default: null, stage: 'decode', param: 'exp_shift'},
+	raw_exp_preser:     {type: 'float', min: 0, max: 1, default: null, stage: 'decode', param: 'exp_preser'},
+
+	// -- Decode: raw data --
+	user_black:         {type: 'int', min: -1, max: 65535, default: -1, stage: 'decode'},
+	user_cblack:        {type: 'array', item: 'int', length: 4, min: -1000001, max: 65535, default: null, stage: 'decode'},
+	raw_user_sat:       {type: 'int', min: -1, max: 65535, default: -1, stage: 'decode', param: 'user_sat'},
+	adjust_maximum_thr: {type: 'float', min: 0, max: 1, default: 0.75, stage: 'decode'},
+	no_auto_scale:      {type: 'flag', default: 0, stage: 'decode'},
+	bad_pixels:         {type: 'string', default: null, stage: 'decode'},
+	dark_frame:         {type: 'string', default: null, stage: 'decode'},
+
+	// -- Decode: demosaic and reconstruction --
+	// -1 default (AHD), 0 linear, 1 VNG, 2 PPG, 3 AHD, 4 DCB, 11 DHT, 12 AAHD
+	user_qual:          {type: 'int', values: [-1, 0, 1, 2, 3, 4, 11, 12], default: -1, stage: 'decode'},
+	four_color_rgb:     {type: 'flag', default: 0, stage: 'decode'},
+	dcb_iterations:     {type: 'int', min: -1, max: 10, default: -1, stage: 'decode'},
+	dcb_enhance_fl:     {type: 'flag', default: 0, stage: 'decode'},
+	raw_fbdd_noiserd:   {type: 'int', min: 0, max: 2, default: 0, stage: 'decode', param: 'fbdd_noiserd'},
+	med_passes:         {type: 'int', min: 0, max: 10, default: 0, stage: 'decode'},
+	green_matching:     {type: 'flag', default: 0, stage: 'decode'},
+	highlight:          {type: 'int', min: 0, max: 9, default: 0, stage: 'decode'},
+	threshold:          {type: 'float', min: 0, max: 1000, default: 0, stage: 'decode'},
+	aber:               {type: 'array', item: 'float', length: 4, min: 0.5, max: 1.5, default: null, stage: 'decode'},
+	no_interpolation:   {type: 'flag', default: 0, stage: 'decode'},
+
+	// -- Render: applied in JS, see applyAdjustmentsToCachedData --
+	bright:             {type: 'float', min: 0.1, max: 4, default: 1.0, stage: 'render'},
+	exp_shift:          {type: 'float', min: -2, max: 2, default: 0.0, stage: 'render'},
+	user_sat:           {type: 'int', min: 0, max: 300, default: 100, stage: 'render'},
+	vibrance:           {type: 'int', min: -100, max: 100, default: 0, stage: 'render'},
+	contrast:           {type: 'int', min: -50, max: 50, default: 0, stage: 'render'},
+	highlights:         {type: 'int', min: -50, max: 50, default: 0, stage: 'render'},
+	shadows:            {type: 'int', min: -50, max: 50, default: 0, stage: 'render'},
+	whites:             {type: 'int', min: 0, max: 100, default: 100, stage: 'render'},
+	toneMaskSmoothing:  {type: 'int', min: 0, max: 100, default: 0, stage: 'render'},
+	redTint:            {type: 'int', min: -100, max: 100, default: 0, stage: 'render'},
+	greenTint:          {type: 'int', min: -100, max: 100, default: 0, stage: 'render'},
+	blueTint:           {type: 'int', min: -100, max: 100, default: 0, stage: 'render'},
+	user_mul:           {type: 'array', item: 'float', length: 4, min: 0, max: 4, default: [1.0, 1.0, 1.0, 1.0], stage: 'render'},
+	sharpness:          {type: 'int', min: 0, max: 100, default: 0, stage: 'render'},
+	fbdd_noiserd:       {type: 'int', min: 0, max: 100, default: 0, stage: 'render'},
+	noiseType:          {type: 'string', values: ['mean', 'median', 'gaussian'], default: 'mean', stage: 'render'},
+	detailPreservation: {type: 'int', min: 0, max: 100, default: 50, stage: 'render'},
+	faceBrightening:    {type: 'int', min: 0, max: 100, default: 0, stage: 'render'},
+	faceSmoothness:     {type: 'int', min: 0, max: 100, default: 50, stage: 'render'},
+	curves:             {type: 'object', normalize: normalizeCurves, default: null, stage: 'render'},
+	hsl:                {type: 'object', normalize: normalizeHsl, default: null, stage: 'render'},
+	grading:            {type: 'object', normalize: normalizeGrading, default: null, stage: 'render'},
+	// Name of an imported 3D LUT (Files/LUT.js); the CLI reads it from --lut-dir
+	lut:                {type: 'string', default: null, stage: 'render'},
+	lutOpacity:         {type: 'int', min: 0, max: 100, default: 100, stage: 'render'},
+	lutInterpolation:   {type: 'string', values: ['tetrahedral', 'trilinear'], default: 'tetrahedral', stage: 'render'},
+};
+
+/**
+ * A fresh settings object with every schema default that is not null
+ */
+export function defaultSettings() {
+	let settings = {};
+	for(let [key, spec] of Object.entries(SETTINGS_SCHEMA)) {
+		if(spec.default !== null) {
+			settings[key] = Array.isArray(spec.default) ? [...spec.default] : spec.default;
+		}
+	}
+	return settings;
+}
+
+function clampNumber(key, value, spec, type, warnings) {
+	if(typeof value != 'number' || !Number.isFinite(value) || (type == 'int' && !Number.isInteger(value))) {
+		warnings.push(`${key}: expected ${type == 'int' ? 'an integer' : 'a number'}, got ${JSON.stringify(value)}`);
+		return undefined;
+	}
+	if(spec.values && !spec.values.includes(value)) {
+		warnings.push(`${key}: ${value} is not one of ${spec.values.join(', ')}`);
+		return undefined;
+	}
+	let clamped = Math.min(spec.max ?? Infinity, Math.max(spec.min ?? -Infinity, value));
+	if(clamped !== value) {
+		warnings.push(`${key}: ${value} is outside ${spec.min}..${spec.max}, using ${clamped}`);
+	}
+	return clamped;
+}
+
+const CURVE_CHANNELS = ['master', 'red', 'green', 'blue'];
+
+/**
+ * curves: {master, red, green, blue}, each a list of at least two [x, y]
+ * points in 0..255. Channels left out keep the identity curve.
+ */
+function normalizeCurves(key, value, warnings) {
+	if(typeof value != 'object' || Array.isArray(value)) {
+		warnings.push(`${key}: expected an object of channel curves`);
+		return undefined;
+	}
+	let curves = {};
+	for(let [channel, points] of Object.entries(value)) {
+		if(!CURVE_CHANNELS.includes(channel)) {
+			warnings.push(`${key}.${channel}: unknown channel (expected one of ${CURVE_CHANNELS.join(', ')})`);
+			continue;
+		}
+		if(!Array.isArray(points) || points.length < 2 ||
+			points.some(point => !Array.isArray(point) || point.length != 2 || !point.every(Number.isFinite))) {
+			warnings.push(`${key}.${channel}: expected at least two [x, y] points`);
+			continue;
+		}
+		curves[channel] = points
+			.map(point => point.map(v => Math.min(255, Math.max(0, v))))
+			.sort((a, b) => a[0] - b[0]);
+	}
+	return curves;
+}
+
+const HSL_BANDS = ['red', 'orange', 'yellow', 'green', 'aqua', 'blue', 'purple', 'magenta'];
+const HSL_ADJUSTMENTS = ['hue', 'saturation', 'luminance'];
+
+/**
+ * hsl: {red: {hue, saturation, luminance}, orange: ..., ...}, each value
+ * -100..100. Bands and adjustments left out stay at 0.
+ */
+function normalizeHsl(key, value, warnings) {
+	if(typeof value != 'object' || Array.isArray(value)) {
+		warnings.push(`${key}: expected an object of hue bands`);
+		return undefined;
+	}
+	let hsl = {};
+	for(let [band, adjustments] of Object.entries(value)) {
+		if(!HSL_BANDS.includes(band)) {
+			warnings.push(`${key}.${band}: unknown band (expected one of ${HSL_BANDS.join(', ')})`);
+			continue;
+		}
+		if(typeof adjustments != 'object' || Array.isArray(adjustments) || adjustments === null) {
+			warnings.push(`${key}.${band}: expected {hue, saturation, luminance}`);
+			continue;
+		}
+		hsl[band] = {};
+		for(let [name, amount] of Object.entries(adjustments)) {
+			if(!HSL_ADJUSTMENTS.includes(name)) {
+				warnings.push(`${key}.${band}.${name}: unknown adjustment`);
+				continue;
+			}
+			let normalized = clampNumber(`${key}.${band}.${name}`, amount, {min: -100, max: 100}, 'float', warnings);
+			if(normalized !== undefined) {
+				hsl[band][name] = normalized;
+			}
+		}
+	}
+	return hsl;
+}
+
+const GRADING_RANGES = ['shadows', 'midtones', 'highlights'];
+const GRADING_WHEEL = {hue: {min: 0, max: 360}, saturation: {min: 0, max: 100}, luminance: {min: -100, max: 100}};
+const GRADING_GLOBAL = {balance: {min: -100, max: 100}, blending: {min: 0, max: 100}};
+
+/**
+ * grading: {shadows, midtones, highlights: {hue 0..360, saturation 0..100,
+ * luminance -100..100}, balance -100..100, blending 0..100}. Anything left
+ * out stays neutral (blending defaults to 50).
+ */
+function normalizeGrading(key, value, warnings) {
+	if(typeof value != 'object' || Array.isArray(value)) {
+		warnings.push(`${key}: expected an object with shadows, midtones and highlights`);
+		return undefined;
+	}
+	let grading = {};
+	for(let [name, entry] of Object.entries(value)) {
+		if(name in GRADING_GLOBAL) {
+			let normalized = clampNumber(`${key}.${name}`, entry, GRADING_GLOBAL[name], 'float', warnings);
+			if(normalized !== undefined) {
+				grading[name] = normalized;
+			}
+			continue;
+		}
+		if(!GRADING_RANGES.includes(name)) {
+			warnings.push(`${key}.${name}: unknown key (expected ${[...GRADING_RANGES, ...Object.keys(GRADING_GLOBAL)].join(', ')})`);
+			continue;
+		}
+		if(typeof entry != 'object' || Array.isArray(entry) || entry === null) {
+			warnings.push(`${key}.${name}: expected {hue, saturation, luminance}`);
+			continue;
+		}
+		grading[name] = {};
+		for(let [property, amount] of Object.entries(entry)) {
+			if(!(property in GRADING_WHEEL)) {
+				warnings.push(`${key}.${name}.${property}: unknown adjustment`);
+				continue;
+			}
+			let normalized = clampNumber(`${key}.${name}.${property}`, amount, GRADING_WHEEL[property], 'float', warnings);
+			if(normalized !== undefined) {
+				grading[name][property] = normalized;
+			}
+		}
+	}
+	return grading;
+}
+
+/**
+ * Check one value against its schema entry. Returns the normalized value,
+ * or undefined (with a warning pushed) when it can't be used.
+ */
+export function normalizeSetting(key, value, warnings=[]) {
+	let spec = SETTINGS_SCHEMA[key];
+	if(!spec) {
+		warnings.push(`${key}: unknown setting`);
+		return undefined;
+	}
+	if(value === null || value === undefined) {
+		return undefined;
+	}
+	switch(spec.type) {
+		case 'flag':
+			if(value === true || value === false || value === 0 || value === 1) {
+				return +value;
+			}
+			warnings.push(`${key}: expected 0/1 or a boolean, got ${JSON.stringify(value)}`);
+			return undefined;
+		case 'int':
+		case 'float':
+			return clampNumber(key, value, spec, spec.type, warnings);
+		case 'array': {
+			if(!Array.isArray(value) && !ArrayBuffer.isView(value) || value.length !== spec.length) {
+				warnings.push(`${key}: expected an array of ${spec.length} numbers`);
+				return undefined;
+			}
+			let items = Array.from(value, (item, i) => clampNumber(`${key}[${i}]`, item, spec, spec.item, warnings));
+			return items.includes(undefined) ? undefined : items;
+		}
+		case 'string':
+			if(typeof value != 'string') {
+				warnings.push(`${key}: expected a string, got ${JSON.stringify(value)}`);
+				return undefined;
+			}
+			if(spec.values && !spec.values.includes(value)) {
+				warnings.push(`${key}: "${value}" is not one of ${spec.values.join(', ')}`);
+				return undefined;
+			}
+			return value;
+		case 'object':
+			return spec.normalize(key, value, warnings);
+	}
+}
+
+/**
+ * Turn a UI settings object into the LibRaw params that applySettings() in
+ * libraw_wrapper.cpp understands. Render-stage settings are left out.
+ * Returns {params, warnings}; warnings list unknown, mistyped and clamped settings.
+ */
+export function toLibRawParams(settings) {
+	let params = {};
+	let warnings = [];
+	for(let [key, value] of Object.entries(settings ?? {})) {
+		let normalized = normalizeSetting(key, value, warnings);
+		let spec = SETTINGS_SCHEMA[key];
+		if(normalized !== undefined && spec.stage == 'decode') {
+			params[spec.param ?? key] = normalized;
+		}
+	}
+	return {params, warnings};
+}
+
+/**
+ * Rename params from toLibRawParams() for a libraw.wasm built before
+ * applySettings() switched to LibRaw's own names: those builds read camelCase
+ * keys (use_auto_wb -> useAutoWb, user_mul -> userMul, dcb_enhance_fl ->
+ * dcbEnhanceFl) and silently skip every other key.
+ */
+export function toLegacyLibRawParams(params) {
+	return Object.fromEntries(Object.entries(params).map(([key, value])=>[
+		key.replace(/_([a-z])/g, (match, letter)=>letter.toUpperCase()),
+		value,
+	]));
+}
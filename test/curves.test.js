@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { interpolateCurve, buildCurveLUTs, applyCurves, cloneCurves } from '../Files/Curves.js';
+
+test('the curve passes through every control point', ()=>{
+	let points = [[0, 10], [64, 40], [128, 150], [255, 240]];
+	let lut = interpolateCurve(points);
+	for(let [x, y] of points) {
+		assert.ok(Math.abs(lut[x] - y) < 1e-3, `lut[${x}] = ${lut[x]}, expected ${y}`);
+	}
+});
+
+test('a steep S curve does not overshoot between control points', ()=>{
+	let lut = interpolateCurve([[0, 0], [100, 20], [110, 230], [255, 255]]);
+	for(let x = 1; x < 256; x++) {
+		assert.ok(lut[x] >= lut[x - 1], `curve falls at ${x}`);
+	}
+	assert.ok(lut[50] <= 20 && lut[180] >= 230);
+});
+
+test('identity curves compile to nothing and are dropped when cloned', ()=>{
+	let identity = {master: [[0, 0], [255, 255]], red: [[0, 0], [128, 128], [255, 255]]};
+	assert.equal(buildCurveLUTs(identity), null);
+	assert.equal(cloneCurves(identity), null);
+	assert.deepEqual(cloneCurves({...identity, blue: [[0, 20], [255, 255]]}), {blue: [[0, 20], [255, 255]]});
+});
+
+test('channel curves apply after the master curve', ()=>{
+	let [red, green, blue] = buildCurveLUTs({
+		master: [[0, 0], [255, 128]],
+		red: [[0, 255], [255, 0]],
+	});
+	assert.ok(Math.abs(green[255] - 128) < 1e-3);
+	assert.ok(Math.abs(blue[255] - 128) < 1e-3);
+	assert.ok(Math.abs(red[255] - 127) < 1e-3);
+
+	let data = new Float32Array([255, 255, 127.5, 255]);
+	applyCurves(data, 1, 1, {master: [[0, 0], [255, 128]], red: [[0, 255], [255, 0]]});
+	assert.ok(Math.abs(data[0] - 127) < 1e-3);
+	assert.ok(Math.abs(data[2] - 64) < 1e-3);
+	assert.equal(data[3], 255);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inflateSync } from 'node:zlib';
+import { outputToXyzD50, outputToSrgbMatrix, imageToDisplay, imageToOutput } from '../Files/ColorSpace.js';
+import { createIccProfile, iccProfileName, embedIccInPng, embedIccInJpeg } from '../Files/IccProfile.js';
+import { encodePNG } from '../cli/encoders.js';
+
+function pngChunks(png) {
+	let chunks = [];
+	for(let offset = 8; offset < png.length; ) {
+		let length = png.readUInt32BE(offset);
+		chunks.push({type: png.toString('latin1', offset + 4, offset + 8), data: png.subarray(offset + 8, offset + 8 + length)});
+		offset += 12 + length;
+	}
+	return chunks;
+}
+
+test('sRGB adapted to D50 matches the matrix in the ICC sRGB profile', ()=>{
+	let expected = [
+		[0.4360747, 0.3850649, 0.1430804],
+		[0.2225045, 0.7168786, 0.0606169],
+		[0.0139322, 0.0971045, 0.7141733],
+	];
+	outputToXyzD50(1).forEach((row, i)=>row.forEach((value, j)=>{
+		assert.ok(Math.abs(value - expected[i][j]) < 2e-4, `[${i}][${j}] = ${value}`);
+	}));
+	assert.equal(outputToXyzD50(5), null);
+});
+
+test('white stays white on display and export, and sRGB is left alone', ()=>{
+	assert.equal(outputToSrgbMatrix(1), null);
+	for(let outputColor of [2, 4, 7]) {
+		let data = new Float32Array([255, 255, 255, 255, 0, 0, 0, 255]);
+		imageToDisplay(data, outputColor);
+		assert.ok(data.subarray(0, 3).every(value=>Math.abs(value - 255) < 0.5), `output_color ${outputColor}: ${data}`);
+		assert.ok(data.subarray(4, 7).every(value=>Math.abs(value) < 0.5));
+	}
+	let data = new Float32Array([200, 100, 50, 255]);
+	imageToDisplay(data, 1);
+	imageToOutput(data, 1);
+	assert.deepEqual(Array.from(data), [200, 100, 50, 255]);
+});
+
+test('colors outside sRGB are clipped on display', ()=>{
+	// This ProPhoto green needs negative red and blue in sRGB
+	let data = new Float32Array([0, 200, 0, 255]);
+	imageToDisplay(data, 4);
+	assert.equal(data[0], 0);
+	assert.equal(data[2], 0);
+	assert.ok(data[1] > 200);
+});
+
+test('ICC profiles have a valid header and name', ()=>{
+	for(let [outputColor, name] of [[1, 'sRGB'], [2, 'Adobe RGB (1998)'], [4, 'ProPhoto RGB'], [7, 'Display P3']]) {
+		let profile = createIccProfile(outputColor);
+		let view = new DataView(profile.buffer);
+		assert.equal(view.getUint32(0), profile.length);
+		assert.equal(profile.length % 4, 0);
+		assert.equal(Buffer.from(profile.subarray(36, 40)).toString('latin1'), 'acsp');
+		assert.equal(iccProfileName(profile), name);
+	}
+	assert.equal(createIccProfile(0), null);
+	assert.equal(iccProfileName(new Uint8Array(16)), 'ICC Profile');
+});
+
+test('the profile is embedded in PNG right after IHDR', async()=>{
+	let profile = createIccProfile(2);
+	let png = encodePNG(new Uint8Array(12), 2, 2, 8);
+	let tagged = Buffer.from(await embedIccInPng(png, profile));
+	let chunks = pngChunks(tagged);
+	assert.deepEqual(chunks.map(chunk=>chunk.type), ['IHDR', 'iCCP', 'IDAT', 'IEND']);
+	let iccp = chunks[1].data;
+	let separator = iccp.indexOf(0);
+	assert.equal(iccp.toString('latin1', 0, separator), 'Adobe RGB (1998)');
+	assert.deepEqual(new Uint8Array(inflateSync(iccp.subarray(separator + 2))), profile);
+
+	// Embedding again replaces the profile instead of adding a second one
+	let retagged = pngChunks(Buffer.from(await embedIccInPng(tagged, createIccProfile(4))));
+	assert.deepEqual(retagged.map(chunk=>chunk.type), ['IHDR', 'iCCP', 'IDAT', 'IEND']);
+});
+
+test('large profiles are split across numbered JPEG APP2 segments', ()=>{
+	// SOI, APP0 (JFIF), an old ICC segment, then the start of the frame
+	let jpeg = new Uint8Array([
+		0xFF, 0xD8,
+		0xFF, 0xE0, 0x00, 0x07, 0x4A, 0x46, 0x49, 0x46, 0x00,
+		0xFF, 0xE2, 0x00, 0x10, ...Buffer.from('ICC_PROFILE\0'), 1, 1,
+		0xFF, 0xDB, 0x00, 0x02,
+	]);
+	let profile = new Uint8Array(70000).map((_, i)=>i & 0xFF);
+	let tagged = Buffer.from(embedIccInJpeg(jpeg, profile));
+	let markers = [];
+	let data = [];
+	for(let offset = 2; tagged[offset + 1] != 0xDB; ) {
+		let length = tagged.readUInt16BE(offset + 2);
+		markers.push(tagged[offset + 1]);
+		if(tagged[offset + 1] == 0xE2) {
+			assert.equal(tagged.toString('latin1', offset + 4, offset + 16), 'ICC_PROFILE\0');
+			assert.deepEqual([tagged[offset + 16], tagged[offset + 17]], [markers.length - 1, 2]);
+			data.push(tagged.subarray(offset + 18, offset + 2 + length));
+		}
+		offset += 2 + length;
+	}
+	assert.deepEqual(markers, [0xE0, 0xE2, 0xE2]);
+	assert.deepEqual(new Uint8Array(Buffer.concat(data)), profile);
+	assert.throws(()=>embedIccInJpeg(new Uint8Array(4), profile), /不是 JPEG/);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCubeLut, parse3dlLut, parseHaldClut, applyLut } from '../Files/LUT.js';
+
+// size³ grid points in the given order: 'rgb' has red changing fastest, 'bgr' blue
+function grid(size, order, toLine) {
+	let lines = [];
+	for(let i = 0; i < size; i++) {
+		for(let j = 0; j < size; j++) {
+			for(let k = 0; k < size; k++) {
+				let [r, g, b] = order == 'rgb' ? [k, j, i] : [i, j, k];
+				lines.push(toLine(r / (size - 1), g / (size - 1), b / (size - 1)));
+			}
+		}
+	}
+	return lines.join('\n');
+}
+
+function assertClose(actual, expected, tolerance = 1e-3) {
+	for(let i = 0; i < expected.length; i++) {
+		assert.ok(Math.abs(actual[i] - expected[i]) <= tolerance, `[${Array.from(actual)}] is not close to [${expected}]`);
+	}
+}
+
+const identityCube = size=>`TITLE "identity"\nLUT_3D_SIZE ${size}\n${grid(size, 'rgb', (r, g, b)=>`${r} ${g} ${b}`)}`;
+
+test('.cube: title, size and red-fastest order', ()=>{
+	let lut = parseCubeLut(`# comment\n${identityCube(3)}`);
+	assert.equal(lut.title, 'identity');
+	assert.equal(lut.size, 3);
+	assertClose(lut.table.subarray(3, 6), [0.5, 0, 0]);
+	assertClose(lut.table.subarray(9, 12), [0, 0.5, 0]);
+});
+
+test('.cube: rejects bad DOMAIN lines, wrong row counts and 1D LUTs', ()=>{
+	assert.throws(()=>parseCubeLut(identityCube(2).replace('LUT_3D_SIZE', 'DOMAIN_MIN 0 x 0\nLUT_3D_SIZE')), /数据行格式错误/);
+	assert.throws(()=>parseCubeLut(identityCube(2).replace('LUT_3D_SIZE', 'DOMAIN_MAX 1 1\nLUT_3D_SIZE')), /数据行格式错误/);
+	assert.throws(()=>parseCubeLut(identityCube(2).replace('LUT_3D_SIZE', 'DOMAIN_MAX 0 1 1\nLUT_3D_SIZE')), /输入范围无效/);
+	assert.throws(()=>parseCubeLut(identityCube(2).replace(/\n[^\n]*$/, '')), /尺寸 2 需要 8 行/);
+	assert.throws(()=>parseCubeLut('LUT_1D_SIZE 16\n'), /1D LUT/);
+});
+
+test('.cube: DOMAIN_MAX rescales the input', ()=>{
+	let lut = parseCubeLut(identityCube(2).replace('LUT_3D_SIZE', 'DOMAIN_MAX 2 2 2\nLUT_3D_SIZE'));
+	let data = new Float32Array([255, 127.5, 0, 255]);
+	applyLut(data, 1, 1, lut);
+	assertClose(data, [127.5, 63.75, 0, 255]);
+});
+
+test('.3dl: blue-fastest order, mesh line and output bit depth', ()=>{
+	let rows = grid(3, 'bgr', (r, g, b)=>[r, g, b].map(v=>Math.round(v * 4095)).join(' '));
+	// A 3-point mesh line has as many numbers as a data row
+	let withMesh = parse3dlLut(`0 512 1023\n${rows}`);
+	let withoutMesh = parse3dlLut(rows);
+	for(let lut of [withMesh, withoutMesh]) {
+		assert.equal(lut.size, 3);
+		assertClose(lut.table.subarray(3, 6), [0.5, 0, 0]);
+		assertClose(lut.table.subarray(lut.table.length - 3), [1, 1, 1]);
+	}
+	let rows5 = grid(5, 'bgr', (r, g, b)=>[r, g, b].map(v=>Math.round(v * 1023)).join(' '));
+	assert.throws(()=>parse3dlLut(`0 256 512 768 1023\n${rows5.replace(/\n[^\n]*$/, '')}`), /尺寸 5 需要 125 行/);
+});
+
+test('Hald CLUT: level 2 is a 4-point grid', ()=>{
+	let data = new Uint8ClampedArray(8 * 8 * 4);
+	let i = 0;
+	for(let b = 0; b < 4; b++) {
+		for(let g = 0; g < 4; g++) {
+			for(let r = 0; r < 4; r++, i += 4) {
+				data.set([r * 85, g * 85, b * 85, 255], i);
+			}
+		}
+	}
+	let lut = parseHaldClut({data, width: 8, height: 8});
+	assert.equal(lut.size, 4);
+	assertClose(lut.table.subarray(3, 6), [1 / 3, 0, 0]);
+	assert.throws(()=>parseHaldClut({data, width: 8, height: 4}), /不是 Hald CLUT/);
+});
+
+test('both interpolations reproduce an identity LUT', ()=>{
+	let lut = parseCubeLut(identityCube(5));
+	for(let interpolation of ['tetrahedral', 'trilinear']) {
+		let data = new Float32Array([12.5, 200, 99, 255, 255, 0, 255, 128]);
+		applyLut(data, 2, 1, lut, 100, interpolation);
+		assertClose(data, [12.5, 200, 99, 255, 255, 0, 255, 128]);
+	}
+});
+
+test('tetrahedral interpolation keeps greys on the grey axis', ()=>{
+	// Identity on the grey axis, red pushed up everywhere else
+	let lut = parseCubeLut(`LUT_3D_SIZE 3\n${grid(3, 'rgb', (r, g, b)=>`${r == g && g == b ? r : Math.min(1, r + 0.2)} ${g} ${b}`)}`);
+	let tetrahedral = new Float32Array([100, 100, 100, 255]);
+	applyLut(tetrahedral, 1, 1, lut, 100, 'tetrahedral');
+	assertClose(tetrahedral, [100, 100, 100, 255]);
+
+	let trilinear = new Float32Array([100, 100, 100, 255]);
+	applyLut(trilinear, 1, 1, lut, 100, 'trilinear');
+	assert.ok(trilinear[0] > 110);
+});
+
+test('opacity blends with the original', ()=>{
+	let lut = parseCubeLut(`LUT_3D_SIZE 2\n${grid(2, 'rgb', (r, g, b)=>`${1 - r} ${1 - g} ${1 - b}`)}`);
+	let data = new Float32Array([255, 0, 55, 255]);
+	applyLut(data, 1, 1, lut, 25);
+	assertClose(data, [191.25, 63.75, 91.25, 255]);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { SETTINGS_SCHEMA, defaultSettings, normalizeSetting, toLibRawParams, toLegacyLibRawParams } from '../settings.js';
+
+test('defaults pass their own schema', ()=>{
+	let {warnings} = toLibRawParams(defaultSettings());
+	assert.deepEqual(warnings, []);
+});
+
+test('normalizeSetting clamps, converts flags and rejects wrong types', ()=>{
+	let warnings = [];
+	assert.equal(normalizeSetting('use_auto_wb', true, warnings), 1);
+	assert.equal(normalizeSetting('use_camera_matrix', 7, warnings), 3);
+	assert.equal(normalizeSetting('use_camera_matrix', 1.5, warnings), undefined);
+	assert.equal(normalizeSetting('user_qual', 5, warnings), undefined);
+	assert.equal(normalizeSetting('output_bps', 12, warnings), undefined);
+	assert.deepEqual(normalizeSetting('raw_user_mul', [2, 1, 0.5, 100], warnings), [2, 1, 0.5, 64]);
+	assert.equal(normalizeSetting('raw_user_mul', [1, 1, 1], warnings), undefined);
+	assert.equal(normalizeSetting('no_such_setting', 1, warnings), undefined);
+	assert.equal(warnings.length, 7);
+});
+
+test('toLibRawParams keeps decode settings under their LibRaw names', ()=>{
+	let {params, warnings} = toLibRawParams({
+		use_auto_wb: 0,
+		raw_user_mul: [2, 1, 1.5, 1],
+		user_qual: 3,
+		output_bps: 16,
+		exp_shift: 1.5,
+		wb_temperature: 5000,
+	});
+	assert.deepEqual(warnings, []);
+	assert.deepEqual(params, {use_auto_wb: 0, user_mul: [2, 1, 1.5, 1], user_qual: 3, output_bps: 16});
+});
+
+test('legacy params use the camelCase keys the shipped libraw.wasm reads', async()=>{
+	let params = {};
+	for(let [key, spec] of Object.entries(SETTINGS_SCHEMA)) {
+		if(spec.stage == 'decode') {
+			params[spec.param ?? key] = 1;
+		}
+	}
+	let legacy = toLegacyLibRawParams(params);
+	assert.equal(legacy.useAutoWb, 1);
+	assert.equal(legacy.userMul, 1);
+	assert.equal(legacy.dcbEnhanceFl, 1);
+	assert.equal(legacy.gamm, 1);
+
+	// Embind looks the keys up by name, so each one is a string in the binary
+	let wasm = (await readFile(new URL('../libraw.wasm', import.meta.url))).toString('latin1');
+	for(let key of Object.keys(legacy)) {
+		assert.ok(wasm.includes(`${key}\0`), `libraw.wasm does not read "${key}"`);
+	}
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toneRangeWeights, toneDelta, applyToneAdjustments } from '../Files/Tone.js';
+
+test('range weights are smooth and limited to their tonal range', ()=>{
+	assert.deepEqual(toneRangeWeights(0), [1, 0, 0]);
+	assert.deepEqual(toneRangeWeights(0.5), [0, 0, 0]);
+	assert.deepEqual(toneRangeWeights(1), [0, 1, 1]);
+	let [shadows, highlights, whites] = toneRangeWeights(0.875);
+	assert.equal(shadows, 0);
+	assert.ok(Math.abs(highlights - 0.84375) < 1e-9);
+	assert.ok(Math.abs(whites - 0.5) < 1e-9);
+	for(let luma = 0.01; luma <= 1; luma += 0.01) {
+		let previous = toneRangeWeights(luma - 0.01);
+		let current = toneRangeWeights(luma);
+		assert.ok(current[0] <= previous[0] && current[1] >= previous[1] && current[2] >= previous[2]);
+	}
+});
+
+test('shadows and highlights never push a value past black or white', ()=>{
+	for(let luma = 0; luma <= 1; luma += 0.05) {
+		for(let [shadows, highlights] of [[50, 50], [-50, -50], [50, -50], [-50, 50]]) {
+			let result = luma + toneDelta(luma, shadows, highlights, 100);
+			assert.ok(result >= 0 && result <= 1, `${luma} -> ${result}`);
+		}
+	}
+	assert.equal(toneDelta(0.3, 0, 0, 100), 0);
+	assert.ok(toneDelta(0.2, 50, 0, 100) > 0);
+	assert.ok(toneDelta(0.9, 0, -50, 100) < 0);
+	assert.ok(toneDelta(0.95, 0, 0, 80) < 0);
+});
+
+test('all three channels move by the same amount', ()=>{
+	let data = new Float32Array([60, 40, 20, 255, 128, 128, 128, 255]);
+	applyToneAdjustments(data, 2, 1, {shadows: 40, highlights: 0, whites: 100});
+	let shift = data[0] - 60;
+	assert.ok(shift > 0);
+	assert.ok(Math.abs(data[1] - 40 - shift) < 1e-4 && Math.abs(data[2] - 20 - shift) < 1e-4);
+	assert.equal(data[3], 255);
+	// Luminance 0.5 is outside the shadow range
+	assert.ok(Math.abs(data[4] - 128) < 1);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { temperatureToMultipliers, multipliersToTemperature, cameraColorMatrix, resolveWhiteBalance } from '../Files/WhiteBalance.js';
+
+// cam_xyz of a Canon EOS 5D Mark II as LibRaw reports it (4x3, fourth row zero)
+const CAM_XYZ = [
+	[0.4716, 0.0603, -0.0830],
+	[-0.7798, 1.5474, 0.2480],
+	[-0.1496, 0.1937, 0.6651],
+	[0, 0, 0],
+];
+
+test('Kelvin and tint survive a round trip through the multipliers', ()=>{
+	for(let [temperature, tint] of [[2800, 0], [5000, 10], [6500, -20], [10000, 40]]) {
+		let multipliers = temperatureToMultipliers(temperature, tint, CAM_XYZ);
+		assert.equal(multipliers[1], 1);
+		assert.equal(multipliers[3], multipliers[1]);
+		let result = multipliersToTemperature(multipliers, CAM_XYZ);
+		assert.ok(Math.abs(result.temperature - temperature) <= temperature * 0.002, `${temperature}K came back as ${result.temperature}K`);
+		assert.ok(Math.abs(result.tint - tint) <= 1, `tint ${tint} came back as ${result.tint}`);
+	}
+});
+
+test('warmer light needs less red and more blue gain', ()=>{
+	let tungsten = temperatureToMultipliers(3000, 0, CAM_XYZ);
+	let daylight = temperatureToMultipliers(5500, 0, CAM_XYZ);
+	assert.ok(tungsten[0] < daylight[0]);
+	assert.ok(tungsten[2] > daylight[2]);
+	let magenta = temperatureToMultipliers(5500, 50, CAM_XYZ);
+	assert.ok(magenta[0] > daylight[0] && magenta[2] > daylight[2]);
+});
+
+test('no usable color matrix gives no multipliers', ()=>{
+	assert.equal(temperatureToMultipliers(5000, 0, undefined), null);
+	assert.equal(temperatureToMultipliers(5000, 0, [[0, 0, 0], [0, 0, 0], [0, 0, 0]]), null);
+	assert.equal(multipliersToTemperature([2, 1, 1.5, 1], null), null);
+	assert.equal(cameraColorMatrix({cam_mul: [2, 1, 1.5, 0]}), null);
+});
+
+test('without cam_xyz the daylight multipliers anchor an approximate matrix', ()=>{
+	let colorData = {pre_mul: [2.1, 1, 1.6, 0]};
+	let matrix = cameraColorMatrix(colorData);
+	assert.equal(matrix.length, 4);
+	// D65 lies slightly off the Planckian locus, so it reads as about 6500K with a small tint
+	let {temperature, tint} = multipliersToTemperature(colorData.pre_mul, matrix);
+	assert.ok(Math.abs(temperature - 6504) < 100, `daylight read as ${temperature}K`);
+	let daylight = temperatureToMultipliers(temperature, tint, matrix);
+	assert.ok(Math.abs(daylight[0] - 2.1) < 0.01 && Math.abs(daylight[2] - 1.6) < 0.01, `daylight came back as ${daylight}`);
+	assert.equal(cameraColorMatrix({cam_xyz: CAM_XYZ, pre_mul: [2.1, 1, 1.6, 0]}), CAM_XYZ);
+});
+
+test('resolveWhiteBalance only acts on a set temperature', ()=>{
+	let metadata = {color_data: {cam_xyz: CAM_XYZ}};
+	assert.equal(resolveWhiteBalance({}, metadata), null);
+	assert.deepEqual(resolveWhiteBalance({wb_temperature: 4000}, metadata), temperatureToMultipliers(4000, 0, CAM_XYZ));
+});
@@ -1,30 +1,229 @@
 import LibRawModule from './libraw.js';
+import { toLegacyLibRawParams } from './settings.js';
+import { exceptionDetails } from './errors.js';
+import { findEmbeddedJpeg } from './embeddedPreview.js';
 
 let ready;
+// The Emscripten module, for its heap
+let Module;
 let LibRawClass;
-let raw;
+// Emscripten's virtual filesystem (MEMFS); LibRaw params such as dark_frame take paths into it
+let FS;
+// WASM LibRaw instances keyed by handle; handle 0 is the default LibRaw, forks get their own
+const instances = new Map();
+// The call currently running inside LibRaw, used by the progress handler
+let current = null;
+// Bytes and settings of each handle's open file, kept only for builds without reprocess(), see legacyFns
+const openFiles = new Map();
 
 async function initLibRaw() {
 	ready = (async ()=>{
-		const module = await LibRawModule();
-		LibRawClass = module.LibRaw;
-		raw = new LibRawClass();
+		Module = await LibRawModule();
+		LibRawClass = Module.LibRaw;
+		FS = Module.FS;
 	})();
 }
 
+function getInstance(handle) {
+	let raw = instances.get(handle);
+	if(!raw) {
+		raw = new LibRawClass();
+		if(hasBinding('setProgressHandler')) {
+			raw.setProgressHandler(onProgress);
+		}
+		instances.set(handle, raw);
+	}
+	return raw;
+}
+
+// Whether the loaded libraw.wasm has a binding. A libraw.wasm built before a binding was
+// added to libraw_wrapper.cpp lacks it until it is rebuilt with the makefile.
+function hasBinding(fn) {
+	return typeof LibRawClass.prototype[fn] == 'function';
+}
+
+// Builds without reprocess() are the ones legacyFns stands in for
+function isLegacyBuild() {
+	return !hasBinding('reprocess');
+}
+
+// Free the WASM side of an instance; embind objects are not garbage collected
+function destroyInstance(handle) {
+	instances.get(handle)?.delete();
+	instances.delete(handle);
+}
+
+// Called synchronously from LibRaw's progress callback; returning true cancels the call
+function onProgress(stage, name, iteration, expected) {
+	if(!current) {
+		return false;
+	}
+	if(current.progress) {
+		self.postMessage({id: current.id, progress: {stage, name, iteration, expected}});
+	}
+	return isCancelled(current.cancelFlag);
+}
+
+// Each instance keeps its session files (dark frame, bad pixel list) in its own directory
+function sessionDir(handle) {
+	return `/session/${handle}`;
+}
+
+// Calls answered by the worker itself rather than by a LibRaw instance
+const workerFns = {
+	destroy(handle) {
+		destroyInstance(handle);
+		openFiles.delete(handle);
+		let dir = sessionDir(handle);
+		if(FS?.analyzePath(dir).exists) {
+			for(let name of FS.readdir(dir).filter(name=>name!='.' && name!='..')) {
+				FS.unlink(`${dir}/${name}`);
+			}
+			FS.rmdir(dir);
+		}
+	},
+	// Whether a call works with this build, directly or through a stand-in
+	supports(handle, fn) {
+		// Session files live in the Emscripten file system, which not every build exports
+		if(fn == 'writeFile' || fn == 'removeFile') {
+			return !!FS;
+		}
+		return hasBinding(fn) || isLegacyBuild() && legacyFns.hasOwnProperty(fn);
+	},
+	// Store a session file and return its path, for use as a LibRaw param
+	writeFile(handle, name, data) {
+		if(!FS) {
+			// Needs a build linked with FORCE_FILESYSTEM and FS exported, see the makefile
+			throw new Error('LibRaw: this libraw.wasm build has no file system, so dark frames, bad pixel lists and ICC profiles can\'t be attached');
+		}
+		let dir = sessionDir(handle);
+		FS.mkdirTree(dir);
+		FS.writeFile(`${dir}/${name}`, data);
+		return `${dir}/${name}`;
+	},
+	removeFile(handle, name) {
+		let path = `${sessionDir(handle)}/${name}`;
+		// Without a file system nothing could have been written
+		if(FS?.analyzePath(path).exists) {
+			FS.unlink(path);
+		}
+	},
+};
+
+// Stand-ins for builds without reprocess(): those instances can only decode the file
+// they opened once, so every open and reprocess starts over on a fresh instance.
+// The same builds read the old camelCase param names, and report no progress from
+// inside LibRaw, so each step is reported as it starts and an aborted call stops
+// before the next one.
+const legacyFns = {
+	open(handle, buffer, settings={}) {
+		legacyStep(0x1, 'Opening file', 'open'); // LIBRAW_PROGRESS_OPEN
+		destroyInstance(handle);
+		getInstance(handle).open(buffer, toLegacyLibRawParams(settings));
+		openFiles.set(handle, {buffer, settings});
+	},
+	imageData(handle) {
+		legacyStep(0x8, 'Loading RAW data', 'unpack'); // LIBRAW_PROGRESS_LOAD_RAW
+		return getInstance(handle).imageData();
+	},
+	reprocess(handle, settings) {
+		let file = openFiles.get(handle);
+		if(!file) {
+			throw new Error('LibRaw: reprocess() needs an open file');
+		}
+		legacyFns.open(handle, file.buffer, {...file.settings, ...settings});
+		return legacyFns.imageData(handle);
+	},
+	// The embedded JPEG preview, found without LibRaw, see embeddedPreview.js
+	thumbnail(handle) {
+		let file = openFiles.get(handle);
+		if(!file) {
+			throw new Error('LibRaw: thumbnail() needs an open file');
+		}
+		let thumb = findEmbeddedJpeg(file.buffer);
+		if(!thumb) {
+			throw Object.assign(new Error('LibRaw: no thumbnail'), {
+				details: {code: -5, stage: 'thumbnail', message: 'No thumbnail in file'}, // LIBRAW_NO_THUMBNAIL
+			});
+		}
+		return thumb;
+	},
+	close(handle) {
+		destroyInstance(handle);
+		openFiles.delete(handle);
+	},
+};
+
+function legacyStep(stage, name, errorStage) {
+	if(onProgress(stage, name, 0, 1)) {
+		throw Object.assign(new Error('LibRaw: cancelled'), {
+			details: {code: -100010, stage: errorStage, message: 'Cancelled by user callback'}, // LIBRAW_CANCELLED_BY_CALLBACK
+		});
+	}
+}
+
+function callLibRaw(handle, fn, args) {
+	if(isLegacyBuild() && legacyFns.hasOwnProperty(fn)) {
+		return legacyFns[fn](handle, ...args);
+	}
+	if(!hasBinding(fn)) {
+		throw new Error(`LibRaw: ${fn}() is not in this libraw.wasm build, rebuild it from libraw_wrapper.cpp with the makefile`);
+	}
+	return getInstance(handle)[fn](...args);
+}
+
+// What went wrong in a failed call, as takeLastError() reports it (see toLibRawError() in errors.js)
+function errorDetails(handle, err) {
+	if(err?.details) {
+		return err.details;
+	}
+	let raw = instances.get(handle);
+	if(raw?.takeLastError) {
+		return raw.takeLastError();
+	}
+	// Older builds throw bare C++ exception pointers, whose message has the return code
+	let details = typeof err == 'number' && Module ? exceptionDetails(Module, err) : undefined;
+	if(details) {
+		try {
+			let {camera_make: make, camera_model: model} = raw?.metadata(false) ?? {};
+			Object.assign(details, {make: make || undefined, model: model || undefined});
+		} catch {
+			// Nothing was identified
+		}
+	}
+	return details;
+}
+
+function isCancelled(cancelFlag) {
+	return !!cancelFlag && Atomics.load(cancelFlag, 0) !== 0;
+}
+
 initLibRaw();
 
 self.onmessage = async (event) => {
-  const { fn, args } = event.data;
+  const { id, handle = 0, fn, args, progress, cancelFlag } = event.data;
   try {
 	await ready;
-    let out = raw[fn](...args);
-    self.postMessage({out},  (Array.isArray(out)?out:(typeof out=='object'?Object.values(out):[])).map(a=>{
+	if(isCancelled(cancelFlag)) {
+		throw new Error('Cancelled before start');
+	}
+	if(workerFns.hasOwnProperty(fn)) {
+		self.postMessage({id, out: workerFns[fn](handle, ...args)});
+		return;
+	}
+	current = {id, progress, cancelFlag};
+    let out = callLibRaw(handle, fn, args);
+    self.postMessage({id, out},  (Array.isArray(out)?out:(typeof out=='object'?Object.values(out):[])).map(a=>{
 		if([ArrayBuffer, Uint8Array, Int8Array, Uint16Array, Int16Array, Uint32Array, Int32Array, Float32Array, Float64Array].some(b=>a instanceof b)) { // Transfer buffer
 			return a.buffer;
 		}
 	}).filter(a=>a));
   } catch (err) {
-    self.postMessage({ error: err.message });
+	let details = errorDetails(handle, err);
+	// Exception pointers that carry no LibRaw return code still need a message
+	let error = typeof err == 'number' ? `LibRaw: ${fn}() failed` : err?.message ?? String(err);
+	self.postMessage({ id, error, details });
+  } finally {
+	current = null;
   }
-};
\ No newline at end of file
+};